@@ -2,6 +2,10 @@
   DataStream reads scalars, arrays and structs of data from an ArrayBuffer.
   It's like a file-like DataView on steroids.
 
+  Node Buffers that share their ArrayBuffer with other Buffers, like the
+  small Buffers Node allocates from its pool, are copied so that the
+  DataStream can't read or overwrite the other Buffers' data.
+
   @param {ArrayBuffer} arrayBuffer ArrayBuffer to read from.
   @param {?Number} byteOffset Offset from arrayBuffer beginning for the DataStream.
   @param {?Boolean} endianness DataStream.BIG_ENDIAN or DataStream.LITTLE_ENDIAN (the default).
@@ -10,6 +14,8 @@ DataStream = function(arrayBuffer, byteOffset, endianness) {
   this._byteOffset = byteOffset || 0;
   if (arrayBuffer instanceof ArrayBuffer) {
     this.buffer = arrayBuffer;
+  } else if (typeof Buffer == 'function' && Buffer.isBuffer && Buffer.isBuffer(arrayBuffer)) {
+    this.buffer = DataStream._bufferToArrayBuffer(arrayBuffer);
   } else if (typeof arrayBuffer == "object") {
     this.dataView = arrayBuffer;
     if (byteOffset) {
@@ -35,18 +41,102 @@ if (Uint8Array.prototype.BYTES_PER_ELEMENT === undefined) {
     Float64Array.prototype.BYTES_PER_ELEMENT = Float64Array.BYTES_PER_ELEMENT; 
 }
 
+/**
+  Returns the Node fs module, or null when not running under Node.
+
+  @return {?Object} The fs module.
+  */
+DataStream._nodeFs = function() {
+  if (typeof process == 'object' && process.versions && process.versions.node &&
+      typeof require == 'function') {
+    return require('fs');
+  }
+  return null;
+};
+
+/**
+  Returns the ArrayBuffer of a Node Buffer, copying the Buffer data into a new
+  ArrayBuffer if the Buffer doesn't span all of its ArrayBuffer.
+
+  @param {Object} buf Node Buffer.
+  @return {ArrayBuffer} ArrayBuffer with the Buffer contents.
+  */
+DataStream._bufferToArrayBuffer = function(buf) {
+  if (buf.byteOffset == 0 && buf.byteLength == buf.buffer.byteLength) {
+    return buf.buffer;
+  }
+  var arrayBuffer = new ArrayBuffer(buf.byteLength);
+  new Uint8Array(arrayBuffer).set(buf);
+  return arrayBuffer;
+};
+
+/**
+  Creates a DataStream from a Node Buffer. Shares memory with the Buffer
+  unless it's a slice of a larger ArrayBuffer, e.g. a pooled Buffer.
+
+  @param {Object} buf Node Buffer to read from.
+  @param {?boolean} endianness DataStream.BIG_ENDIAN or DataStream.LITTLE_ENDIAN (the default).
+  @return {Object} The new DataStream.
+  */
+DataStream.fromBuffer = function(buf, endianness) {
+  return new DataStream(buf, 0, endianness);
+};
+
+/**
+  Creates a DataStream from the contents of a file. Node only.
+
+  @param {string} path Path of the file to read.
+  @param {?boolean} endianness DataStream.BIG_ENDIAN or DataStream.LITTLE_ENDIAN (the default).
+  @return {Object} The new DataStream.
+  */
+DataStream.fromFile = function(path, endianness) {
+  var fs = DataStream._nodeFs();
+  if (!fs) {
+    throw("DataStream.fromFile: Only supported in Node.js");
+  }
+  return DataStream.fromBuffer(fs.readFileSync(path), endianness);
+};
+
+/**
+  Returns the DataStream contents from byteOffset to byteLength as a
+  Uint8Array, without the unused space left at the end of the buffer
+  by writes.
+
+  @return {Object} Uint8Array of the DataStream contents.
+  */
+DataStream.prototype._contents = function() {
+  this._trimAlloc();
+  return new Uint8Array(this._buffer, this._byteOffset, this.byteLength);
+};
+
+/**
+  Returns the DataStream contents as a Blob.
+
+  @param {?string} mimeType MIME type of the Blob. Defaults to
+                            application/octet-stream.
+  @return {Object} The Blob.
+  */
+DataStream.prototype.toBlob = function(mimeType) {
+  return new Blob([this._contents()], {type: mimeType || 'application/octet-stream'});
+};
+
 /**
   Saves the DataStream contents to the given filename.
-  Uses Chrome's anchor download property to initiate download.
+  In Node, writes the file synchronously. In browsers, uses the anchor
+  download property to initiate download.
 
   @param {string} filename Filename to save as.
   @return {null}
   */
 DataStream.prototype.save = function(filename) {
-  var blob = new Blob(this.buffer);
+  var fs = DataStream._nodeFs();
+  if (fs) {
+    fs.writeFileSync(filename, this._contents());
+    return;
+  }
   var URL = (window.webkitURL || window.URL);
   if (URL && URL.createObjectURL) {
-      var url = URL.createObjectURL(blob);
+      var url = URL.createObjectURL(this.toBlob());
       var a = document.createElement('a');
       a.setAttribute('href', url);
       a.setAttribute('download', filename);
@@ -57,6 +147,25 @@ DataStream.prototype.save = function(filename) {
   }
 };
 
+/**
+  Saves the DataStream contents to the given filename like save, but writes
+  the file asynchronously in Node.
+
+  @param {string} filename Filename to save as.
+  @return {Object} Promise that resolves when the file has been written.
+  */
+DataStream.prototype.saveAsync = function(filename) {
+  var fs = DataStream._nodeFs();
+  if (fs) {
+    return fs.promises.writeFile(filename, this._contents());
+  }
+  var self = this;
+  return new Promise(function(resolve) {
+    self.save(filename);
+    resolve();
+  });
+};
+
 /**
   Big-endian const to use as default endianness.
   @type {boolean}
@@ -69,6 +178,22 @@ DataStream.BIG_ENDIAN = false;
   */
 DataStream.LITTLE_ENDIAN = true;
 
+/**
+  Bit order const for reading the most significant bit of each byte first,
+  as in MPEG and H.264 headers. The first bit read is the most significant bit
+  of the resulting value.
+  @type {boolean}
+  */
+DataStream.MSB_FIRST = false;
+
+/**
+  Bit order const for reading the least significant bit of each byte first,
+  as in DEFLATE streams. The first bit read is the least significant bit of
+  the resulting value.
+  @type {boolean}
+  */
+DataStream.LSB_FIRST = true;
+
 /**
   Whether to extend DataStream buffer when trying to write beyond its size.
   If set, the buffer is reallocated to twice its current size until the
@@ -157,7 +282,14 @@ Object.defineProperty(DataStream.prototype, 'dataView',
   @return {null}
   */
 DataStream.prototype._realloc = function(extra) {
+  if (this.readOnly) {
+    throw("DataStream: Can't write to a read-only DataStream");
+  }
+  if (this.copyOnWrite) {
+    this._copyBuffer();
+  }
   if (!this._dynamicSize) {
+    this._checkBounds(extra);
     return;
   }
   var req = this._byteOffset + this.position + extra;
@@ -182,16 +314,178 @@ DataStream.prototype._realloc = function(extra) {
   this._byteLength = req;
 };
 
+/**
+  Internal function to get the DataStream buffer ready for mapping n bytes
+  of data of endianness e into a typed array. Returns false if the
+  DataStream is read-only, in which case the array should be read instead,
+  so that the caller never gets a writable view to the buffer.
+
+  @param {number} n Number of bytes to map.
+  @param {?boolean} e Endianness of the data, null for byte arrays.
+  @return {boolean} True if the data can be mapped.
+  */
+DataStream.prototype._prepareMap = function(n, e) {
+  if (this.readOnly) {
+    this._checkBounds(n);
+    return false;
+  }
+  var swap = e != null && e != DataStream.endianness;
+  if (!swap && this.position + n <= this.byteLength) {
+    return true;
+  }
+  this._realloc(n);
+  return true;
+};
+
+/**
+  If set, writes throw and mapped arrays are read into new arrays instead
+  of being views to the DataStream buffer.
+
+  @type {boolean}
+  */
+DataStream.prototype.readOnly = false;
+
+/**
+  If set, the backing ArrayBuffer is copied before the first write or
+  in-place swizzle of a mapped array, so that the original buffer is never
+  modified. Cleared once the copy has been made.
+
+  @type {boolean}
+  */
+DataStream.prototype.copyOnWrite = false;
+
+/**
+  Internal function to replace the backing ArrayBuffer with a copy for
+  copyOnWrite. Keeps the DataStream window into the buffer.
+
+  @return {null}
+  */
+DataStream.prototype._copyBuffer = function() {
+  var dv = this._dataView;
+  this._buffer = this._buffer.slice(0);
+  this._dataView = new DataView(this._buffer, dv.byteOffset, dv.byteLength);
+  this.copyOnWrite = false;
+};
+
+/**
+  Internal function to check that the next n bytes are within the DataStream.
+  Throws a DataStream.EOFError if they are not.
+
+  @param {number} n Number of bytes to access at the current position.
+  @return {null}
+  */
+DataStream.prototype._checkBounds = function(n) {
+  if (this.position + n > this.byteLength) {
+    throw new DataStream.EOFError(this.position, n, this.byteLength - this.position);
+  }
+};
+
+/**
+  Internal function to check that a scalar read of n bytes is within the
+  DataStream in strict and lenient modes.
+
+  @param {number} n Number of bytes to read at the current position.
+  @return {null}
+  */
+DataStream.prototype._checkRead = function(n) {
+  if (this.strict || this.lenient) {
+    this._checkBounds(n);
+  }
+};
+
+/**
+  Internal function to check that an array read of length elements of size
+  bytes is within the DataStream. In lenient mode, returns the number of
+  elements left instead and sets the eof flag.
+
+  @param {number} length Number of elements to read.
+  @param {number} size Size of an element in bytes.
+  @return {number} Number of elements to read.
+  */
+DataStream.prototype._readLength = function(length, size) {
+  var remaining = this.byteLength - this.position;
+  if (length * size <= remaining) {
+    return length;
+  }
+  if (this.lenient) {
+    this.eof = true;
+    return Math.max(0, Math.floor(remaining / size));
+  }
+  throw new DataStream.EOFError(this.position, length * size, remaining);
+};
+
+/**
+  If set, every read checks that there is enough data left before reading and
+  throws a DataStream.EOFError if there isn't. Otherwise reads past the end
+  behave like the underlying DataView and typed array reads: scalar reads
+  throw RangeErrors, mapped arrays grow the buffer, readCString stops at the
+  end and '*' arrays end at the first element that fails to read.
+
+  In strict mode, '*' arrays end at the end of the data and rethrow the
+  errors from reading an element, and readCString throws if the string has
+  no terminating zero byte.
+
+  @type {boolean}
+  */
+DataStream.prototype.strict = false;
+
+/**
+  If set, reads past the end return the data that is there and set the eof
+  flag: array and string reads return the elements left, and readStruct
+  returns the fields read before running out of data. Reads that can't
+  return partial data, like scalar reads, throw a DataStream.EOFError.
+
+  @type {boolean}
+  */
+DataStream.prototype.lenient = false;
+
+/**
+  Set by lenient mode reads that ran out of data and returned partial data.
+  Cleared by seek.
+
+  @type {boolean}
+  */
+DataStream.prototype.eof = false;
+
+/**
+  Error thrown when reading or writing past the end of a DataStream that
+  can't grow, and by strict and lenient mode reads past the end.
+
+  @param {number} position Position of the read.
+  @param {number} requested Number of bytes requested.
+  @param {number} remaining Number of bytes left in the DataStream.
+ */
+DataStream.EOFError = function(position, requested, remaining) {
+  this.position = position;
+  this.requested = requested;
+  this.remaining = remaining;
+  this.message = "DataStream: Access of " + requested + " bytes at position " + position +
+                 " past the end of the DataStream, " + remaining + " bytes remaining";
+  this.stack = (new Error(this.message)).stack;
+};
+DataStream.EOFError.prototype = Object.create(RangeError.prototype);
+DataStream.EOFError.prototype.constructor = DataStream.EOFError;
+DataStream.EOFError.prototype.name = 'DataStreamEOFError';
+
+/**
+  True for substreams, which are views into the buffer of another
+  DataStream.
+  @type {boolean}
+  */
+DataStream.prototype._sharedView = false;
+
 /**
   Internal function to trim the DataStream buffer when required.
   Used for stripping out the extra bytes from the backing buffer when
   the virtual byteLength is smaller than the buffer byteLength (happens after
   growing the buffer with writes and not filling the extra space completely).
+  Views into a buffer shared with another DataStream are never trimmed, as
+  trimming would copy the buffer and stop sharing it.
 
   @return {null}
   */
 DataStream.prototype._trimAlloc = function() {
-  if (this._byteLength == this._buffer.byteLength) {
+  if (this._byteLength == this._buffer.byteLength || this._sharedView) {
     return;
   }
   var buf = new ArrayBuffer(this._byteLength);
@@ -203,7 +497,7 @@ DataStream.prototype._trimAlloc = function() {
 
 /**
   Sets the DataStream read/write position to given position.
-  Clamps between 0 and DataStream length.
+  Clamps between 0 and DataStream length. Resets the bit position.
 
   @param {number} pos Position to seek to.
   @return {null}
@@ -211,8 +505,75 @@ DataStream.prototype._trimAlloc = function() {
 DataStream.prototype.seek = function(pos) {
   var npos = Math.max(0, Math.min(this.byteLength, pos));
   this.position = (isNaN(npos) || !isFinite(npos)) ? 0 : npos;
+  this.bitPosition = 0;
+  this.eof = false;
+};
+
+/**
+  Returns a DataStream over length bytes of this DataStream, starting at
+  offset. The returned DataStream shares the buffer with this one, has its
+  own position starting at zero, and can't read or write outside the window.
+  Its endianness, bit order, parse error, strict, lenient, read-only and
+  copy-on-write modes and registered types are copied from this DataStream.
+  Positions in the substream, including start-relative pointers, are
+  relative to the start of the window. The buffer property of the substream
+  is the shared buffer, not trimmed to the window.
+
+  @param {number} offset Offset of the window.
+  @param {?number} length Length of the window. Defaults to the rest of the DataStream.
+  @return {Object} The new DataStream.
+  */
+DataStream.prototype.substream = function(offset, length) {
+  if (length == null) {
+    length = this.byteLength - offset;
+  }
+  if (offset < 0 || length < 0 || offset + length > this.byteLength) {
+    throw new RangeError("DataStream.substream: Window " + offset + "+" + length +
+                         " outside of the DataStream");
+  }
+  var ds = new DataStream(this._buffer, this._byteOffset + offset, this.endianness);
+  ds._dynamicSize = false;
+  ds._byteLength = this._byteOffset + offset + length;
+  ds._dataView = new DataView(this._buffer, this._byteOffset + offset, length);
+  ds._sharedView = true;
+  ds.bitOrder = this.bitOrder;
+  ds.throwOnParseError = this.throwOnParseError;
+  ds.strict = this.strict;
+  ds.lenient = this.lenient;
+  ds.readOnly = this.readOnly;
+  ds.copyOnWrite = this.copyOnWrite;
+  ds._types = this._types;
+  return ds;
+};
+
+/**
+  Returns a substream over the next length bytes and moves the position
+  past them.
+
+  @param {?number} length Length of the window. Defaults to the rest of the DataStream.
+  @return {Object} The new DataStream.
+  */
+DataStream.prototype.sliceStream = function(length) {
+  var ds = this.substream(this.position, length);
+  this.position += ds.byteLength;
+  this.bitPosition = 0;
+  return ds;
 };
 
+/**
+  Number of bits already consumed from the byte at the current position by
+  readBits or writeBits. Zero when the DataStream is byte-aligned.
+  @type {number}
+  */
+DataStream.prototype.bitPosition = 0;
+
+/**
+  Default bit order for readBits and writeBits.
+  Either DataStream.MSB_FIRST (the default) or DataStream.LSB_FIRST.
+  @type {boolean}
+  */
+DataStream.prototype.bitOrder = DataStream.MSB_FIRST;
+
 /**
   Returns true if the DataStream seek pointer is at the end of buffer and
   there's no more data to read.
@@ -223,20 +584,50 @@ DataStream.prototype.isEof = function() {
   return (this.position >= this.byteLength);
 };
 
+/**
+  Maps a BigInt64Array into the DataStream buffer, swizzling it to native
+  endianness in-place. The current offset from the start of the buffer needs to
+  be a multiple of element size, just like with typed array views.
+
+  Nice for quickly reading in data. Warning: potentially modifies the buffer
+  contents, unless the DataStream is readOnly or copyOnWrite.
+
+  @param {number} length Number of elements to map.
+  @param {?boolean} e Endianness of the data to read.
+  @return {Object} BigInt64Array to the DataStream backing buffer.
+  */
+DataStream.prototype.mapBigInt64Array = function(length, e) {
+  if (this.strict || this.lenient) {
+    length = this._readLength(length, 8);
+  }
+  if (!this._prepareMap(length * 8, e == null ? this.endianness : e)) {
+    return this.readBigInt64Array(length, e);
+  }
+  var arr = new BigInt64Array(this._buffer, this.byteOffset+this.position, length);
+  DataStream.arrayToNative(arr, e == null ? this.endianness : e);
+  this.position += length * 8;
+  return arr;
+};
+
 /**
   Maps an Int32Array into the DataStream buffer, swizzling it to native
   endianness in-place. The current offset from the start of the buffer needs to
   be a multiple of element size, just like with typed array views.
 
   Nice for quickly reading in data. Warning: potentially modifies the buffer
-  contents.
+  contents, unless the DataStream is readOnly or copyOnWrite.
 
   @param {number} length Number of elements to map.
   @param {?boolean} e Endianness of the data to read.
   @return {Object} Int32Array to the DataStream backing buffer.
   */
 DataStream.prototype.mapInt32Array = function(length, e) {
-  this._realloc(length * 4);
+  if (this.strict || this.lenient) {
+    length = this._readLength(length, 4);
+  }
+  if (!this._prepareMap(length * 4, e == null ? this.endianness : e)) {
+    return this.readInt32Array(length, e);
+  }
   var arr = new Int32Array(this._buffer, this.byteOffset+this.position, length);
   DataStream.arrayToNative(arr, e == null ? this.endianness : e);
   this.position += length * 4;
@@ -249,14 +640,19 @@ DataStream.prototype.mapInt32Array = function(length, e) {
   be a multiple of element size, just like with typed array views.
 
   Nice for quickly reading in data. Warning: potentially modifies the buffer
-  contents.
+  contents, unless the DataStream is readOnly or copyOnWrite.
 
   @param {number} length Number of elements to map.
   @param {?boolean} e Endianness of the data to read.
   @return {Object} Int16Array to the DataStream backing buffer.
   */
 DataStream.prototype.mapInt16Array = function(length, e) {
-  this._realloc(length * 2);
+  if (this.strict || this.lenient) {
+    length = this._readLength(length, 2);
+  }
+  if (!this._prepareMap(length * 2, e == null ? this.endianness : e)) {
+    return this.readInt16Array(length, e);
+  }
   var arr = new Int16Array(this._buffer, this.byteOffset+this.position, length);
   DataStream.arrayToNative(arr, e == null ? this.endianness : e);
   this.position += length * 2;
@@ -273,26 +669,61 @@ DataStream.prototype.mapInt16Array = function(length, e) {
   @return {Object} Int8Array to the DataStream backing buffer.
   */
 DataStream.prototype.mapInt8Array = function(length) {
-  this._realloc(length * 1);
+  if (this.strict || this.lenient) {
+    length = this._readLength(length, 1);
+  }
+  if (!this._prepareMap(length * 1, null)) {
+    return this.readInt8Array(length);
+  }
   var arr = new Int8Array(this._buffer, this.byteOffset+this.position, length);
   this.position += length * 1;
   return arr;
 };
 
+/**
+  Maps a BigUint64Array into the DataStream buffer, swizzling it to native
+  endianness in-place. The current offset from the start of the buffer needs to
+  be a multiple of element size, just like with typed array views.
+
+  Nice for quickly reading in data. Warning: potentially modifies the buffer
+  contents, unless the DataStream is readOnly or copyOnWrite.
+
+  @param {number} length Number of elements to map.
+  @param {?boolean} e Endianness of the data to read.
+  @return {Object} BigUint64Array to the DataStream backing buffer.
+  */
+DataStream.prototype.mapBigUint64Array = function(length, e) {
+  if (this.strict || this.lenient) {
+    length = this._readLength(length, 8);
+  }
+  if (!this._prepareMap(length * 8, e == null ? this.endianness : e)) {
+    return this.readBigUint64Array(length, e);
+  }
+  var arr = new BigUint64Array(this._buffer, this.byteOffset+this.position, length);
+  DataStream.arrayToNative(arr, e == null ? this.endianness : e);
+  this.position += length * 8;
+  return arr;
+};
+
 /**
   Maps a Uint32Array into the DataStream buffer, swizzling it to native
   endianness in-place. The current offset from the start of the buffer needs to
   be a multiple of element size, just like with typed array views.
 
   Nice for quickly reading in data. Warning: potentially modifies the buffer
-  contents.
+  contents, unless the DataStream is readOnly or copyOnWrite.
 
   @param {number} length Number of elements to map.
   @param {?boolean} e Endianness of the data to read.
   @return {Object} Uint32Array to the DataStream backing buffer.
   */
 DataStream.prototype.mapUint32Array = function(length, e) {
-  this._realloc(length * 4);
+  if (this.strict || this.lenient) {
+    length = this._readLength(length, 4);
+  }
+  if (!this._prepareMap(length * 4, e == null ? this.endianness : e)) {
+    return this.readUint32Array(length, e);
+  }
   var arr = new Uint32Array(this._buffer, this.byteOffset+this.position, length);
   DataStream.arrayToNative(arr, e == null ? this.endianness : e);
   this.position += length * 4;
@@ -305,14 +736,19 @@ DataStream.prototype.mapUint32Array = function(length, e) {
   be a multiple of element size, just like with typed array views.
 
   Nice for quickly reading in data. Warning: potentially modifies the buffer
-  contents.
+  contents, unless the DataStream is readOnly or copyOnWrite.
 
   @param {number} length Number of elements to map.
   @param {?boolean} e Endianness of the data to read.
   @return {Object} Uint16Array to the DataStream backing buffer.
   */
 DataStream.prototype.mapUint16Array = function(length, e) {
-  this._realloc(length * 2);
+  if (this.strict || this.lenient) {
+    length = this._readLength(length, 2);
+  }
+  if (!this._prepareMap(length * 2, e == null ? this.endianness : e)) {
+    return this.readUint16Array(length, e);
+  }
   var arr = new Uint16Array(this._buffer, this.byteOffset+this.position, length);
   DataStream.arrayToNative(arr, e == null ? this.endianness : e);
   this.position += length * 2;
@@ -329,7 +765,12 @@ DataStream.prototype.mapUint16Array = function(length, e) {
   @return {Object} Uint8Array to the DataStream backing buffer.
   */
 DataStream.prototype.mapUint8Array = function(length) {
-  this._realloc(length * 1);
+  if (this.strict || this.lenient) {
+    length = this._readLength(length, 1);
+  }
+  if (!this._prepareMap(length * 1, null)) {
+    return this.readUint8Array(length);
+  }
   var arr = new Uint8Array(this._buffer, this.byteOffset+this.position, length);
   this.position += length * 1;
   return arr;
@@ -341,14 +782,19 @@ DataStream.prototype.mapUint8Array = function(length) {
   be a multiple of element size, just like with typed array views.
 
   Nice for quickly reading in data. Warning: potentially modifies the buffer
-  contents.
+  contents, unless the DataStream is readOnly or copyOnWrite.
 
   @param {number} length Number of elements to map.
   @param {?boolean} e Endianness of the data to read.
   @return {Object} Float64Array to the DataStream backing buffer.
   */
 DataStream.prototype.mapFloat64Array = function(length, e) {
-  this._realloc(length * 8);
+  if (this.strict || this.lenient) {
+    length = this._readLength(length, 8);
+  }
+  if (!this._prepareMap(length * 8, e == null ? this.endianness : e)) {
+    return this.readFloat64Array(length, e);
+  }
   var arr = new Float64Array(this._buffer, this.byteOffset+this.position, length);
   DataStream.arrayToNative(arr, e == null ? this.endianness : e);
   this.position += length * 8;
@@ -361,20 +807,44 @@ DataStream.prototype.mapFloat64Array = function(length, e) {
   be a multiple of element size, just like with typed array views.
 
   Nice for quickly reading in data. Warning: potentially modifies the buffer
-  contents.
+  contents, unless the DataStream is readOnly or copyOnWrite.
 
   @param {number} length Number of elements to map.
   @param {?boolean} e Endianness of the data to read.
   @return {Object} Float32Array to the DataStream backing buffer.
   */
 DataStream.prototype.mapFloat32Array = function(length, e) {
-  this._realloc(length * 4);
+  if (this.strict || this.lenient) {
+    length = this._readLength(length, 4);
+  }
+  if (!this._prepareMap(length * 4, e == null ? this.endianness : e)) {
+    return this.readFloat32Array(length, e);
+  }
   var arr = new Float32Array(this._buffer, this.byteOffset+this.position, length);
   DataStream.arrayToNative(arr, e == null ? this.endianness : e);
   this.position += length * 4;
   return arr;
 };
 
+/**
+  Reads a BigInt64Array of desired length and endianness from the DataStream.
+
+  @param {number} length Number of elements to map.
+  @param {?boolean} e Endianness of the data to read.
+  @return {Object} The read BigInt64Array.
+ */
+DataStream.prototype.readBigInt64Array = function(length, e) {
+  length = length == null ? Math.floor((this.byteLength-this.position) / 8) : length;
+  length = this._readLength(length, 8);
+  var arr = new BigInt64Array(length);
+  DataStream.memcpy(arr.buffer, 0,
+                    this.buffer, this.byteOffset+this.position,
+                    length*arr.BYTES_PER_ELEMENT);
+  DataStream.arrayToNative(arr, e == null ? this.endianness : e);
+  this.position += arr.byteLength;
+  return arr;
+};
+
 /**
   Reads an Int32Array of desired length and endianness from the DataStream.
 
@@ -383,7 +853,8 @@ DataStream.prototype.mapFloat32Array = function(length, e) {
   @return {Object} The read Int32Array.
  */
 DataStream.prototype.readInt32Array = function(length, e) {
-  length = length == null ? (this.byteLength-this.position / 4) : length;
+  length = length == null ? Math.floor((this.byteLength-this.position) / 4) : length;
+  length = this._readLength(length, 4);
   var arr = new Int32Array(length);
   DataStream.memcpy(arr.buffer, 0,
                     this.buffer, this.byteOffset+this.position,
@@ -401,7 +872,8 @@ DataStream.prototype.readInt32Array = function(length, e) {
   @return {Object} The read Int16Array.
  */
 DataStream.prototype.readInt16Array = function(length, e) {
-  length = length == null ? (this.byteLength-this.position / 2) : length;
+  length = length == null ? Math.floor((this.byteLength-this.position) / 2) : length;
+  length = this._readLength(length, 2);
   var arr = new Int16Array(length);
   DataStream.memcpy(arr.buffer, 0,
                     this.buffer, this.byteOffset+this.position,
@@ -420,6 +892,7 @@ DataStream.prototype.readInt16Array = function(length, e) {
  */
 DataStream.prototype.readInt8Array = function(length) {
   length = length == null ? (this.byteLength-this.position) : length;
+  length = this._readLength(length, 1);
   var arr = new Int8Array(length);
   DataStream.memcpy(arr.buffer, 0,
                     this.buffer, this.byteOffset+this.position,
@@ -428,6 +901,25 @@ DataStream.prototype.readInt8Array = function(length) {
   return arr;
 };
 
+/**
+  Reads a BigUint64Array of desired length and endianness from the DataStream.
+
+  @param {number} length Number of elements to map.
+  @param {?boolean} e Endianness of the data to read.
+  @return {Object} The read BigUint64Array.
+ */
+DataStream.prototype.readBigUint64Array = function(length, e) {
+  length = length == null ? Math.floor((this.byteLength-this.position) / 8) : length;
+  length = this._readLength(length, 8);
+  var arr = new BigUint64Array(length);
+  DataStream.memcpy(arr.buffer, 0,
+                    this.buffer, this.byteOffset+this.position,
+                    length*arr.BYTES_PER_ELEMENT);
+  DataStream.arrayToNative(arr, e == null ? this.endianness : e);
+  this.position += arr.byteLength;
+  return arr;
+};
+
 /**
   Reads a Uint32Array of desired length and endianness from the DataStream.
 
@@ -436,7 +928,8 @@ DataStream.prototype.readInt8Array = function(length) {
   @return {Object} The read Uint32Array.
  */
 DataStream.prototype.readUint32Array = function(length, e) {
-  length = length == null ? (this.byteLength-this.position / 4) : length;
+  length = length == null ? Math.floor((this.byteLength-this.position) / 4) : length;
+  length = this._readLength(length, 4);
   var arr = new Uint32Array(length);
   DataStream.memcpy(arr.buffer, 0,
                     this.buffer, this.byteOffset+this.position,
@@ -454,7 +947,8 @@ DataStream.prototype.readUint32Array = function(length, e) {
   @return {Object} The read Uint16Array.
  */
 DataStream.prototype.readUint16Array = function(length, e) {
-  length = length == null ? (this.byteLength-this.position / 2) : length;
+  length = length == null ? Math.floor((this.byteLength-this.position) / 2) : length;
+  length = this._readLength(length, 2);
   var arr = new Uint16Array(length);
   DataStream.memcpy(arr.buffer, 0,
                     this.buffer, this.byteOffset+this.position,
@@ -473,6 +967,7 @@ DataStream.prototype.readUint16Array = function(length, e) {
  */
 DataStream.prototype.readUint8Array = function(length) {
   length = length == null ? (this.byteLength-this.position) : length;
+  length = this._readLength(length, 1);
   var arr = new Uint8Array(length);
   DataStream.memcpy(arr.buffer, 0,
                     this.buffer, this.byteOffset+this.position,
@@ -489,7 +984,8 @@ DataStream.prototype.readUint8Array = function(length) {
   @return {Object} The read Float64Array.
  */
 DataStream.prototype.readFloat64Array = function(length, e) {
-  length = length == null ? (this.byteLength-this.position / 8) : length;
+  length = length == null ? Math.floor((this.byteLength-this.position) / 8) : length;
+  length = this._readLength(length, 8);
   var arr = new Float64Array(length);
   DataStream.memcpy(arr.buffer, 0,
                     this.buffer, this.byteOffset+this.position,
@@ -507,7 +1003,8 @@ DataStream.prototype.readFloat64Array = function(length, e) {
   @return {Object} The read Float32Array.
  */
 DataStream.prototype.readFloat32Array = function(length, e) {
-  length = length == null ? (this.byteLength-this.position / 4) : length;
+  length = length == null ? Math.floor((this.byteLength-this.position) / 4) : length;
+  length = this._readLength(length, 4);
   var arr = new Float32Array(length);
   DataStream.memcpy(arr.buffer, 0,
                     this.buffer, this.byteOffset+this.position,
@@ -517,6 +1014,46 @@ DataStream.prototype.readFloat32Array = function(length, e) {
   return arr;
 };
 
+/**
+  Reads an array of half-precision floats of desired length and endianness
+  from the DataStream. The values are decoded into a Float32Array.
+
+  @param {number} length Number of elements to read.
+  @param {?boolean} e Endianness of the data to read.
+  @return {Object} The read Float32Array.
+ */
+DataStream.prototype.readFloat16Array = function(length, e) {
+  length = length == null ? Math.floor((this.byteLength-this.position) / 2) : length;
+  var u16 = this.readUint16Array(length, e);
+  var arr = new Float32Array(length);
+  for (var i=0; i<length; i++) {
+    arr[i] = DataStream.decodeFloat16(u16[i]);
+  }
+  return arr;
+};
+
+/**
+  Writes a BigInt64Array of specified endianness to the DataStream.
+  Plain arrays may contain either BigInts or integral Numbers.
+
+  @param {Object} arr The array to write.
+  @param {?boolean} e Endianness of the data to write.
+ */
+DataStream.prototype.writeBigInt64Array = function(arr, e) {
+  this._realloc(arr.length * 8);
+  if (arr instanceof BigInt64Array &&
+      (this.byteOffset+this.position) % arr.BYTES_PER_ELEMENT == 0) {
+    DataStream.memcpy(this._buffer, this.byteOffset+this.position,
+                      arr.buffer, arr.byteOffset,
+                      arr.byteLength);
+    this.mapBigInt64Array(arr.length, e);
+  } else {
+    for (var i=0; i<arr.length; i++) {
+      this.writeInt64(arr[i], e);
+    }
+  }
+};
+
 /**
   Writes an Int32Array of specified endianness to the DataStream.
 
@@ -579,6 +1116,28 @@ DataStream.prototype.writeInt8Array = function(arr) {
   }
 };
 
+/**
+  Writes a BigUint64Array of specified endianness to the DataStream.
+  Plain arrays may contain either BigInts or integral Numbers.
+
+  @param {Object} arr The array to write.
+  @param {?boolean} e Endianness of the data to write.
+ */
+DataStream.prototype.writeBigUint64Array = function(arr, e) {
+  this._realloc(arr.length * 8);
+  if (arr instanceof BigUint64Array &&
+      (this.byteOffset+this.position) % arr.BYTES_PER_ELEMENT == 0) {
+    DataStream.memcpy(this._buffer, this.byteOffset+this.position,
+                      arr.buffer, arr.byteOffset,
+                      arr.byteLength);
+    this.mapBigUint64Array(arr.length, e);
+  } else {
+    for (var i=0; i<arr.length; i++) {
+      this.writeUint64(arr[i], e);
+    }
+  }
+};
+
 /**
   Writes a Uint32Array of specified endianness to the DataStream.
 
@@ -684,6 +1243,33 @@ DataStream.prototype.writeFloat32Array = function(arr, e) {
 };
 
 
+/**
+  Writes an array of numbers as half-precision floats of specified endianness
+  to the DataStream.
+
+  @param {Object} arr The array to write.
+  @param {?boolean} e Endianness of the data to write.
+ */
+DataStream.prototype.writeFloat16Array = function(arr, e) {
+  this._realloc(arr.length * 2);
+  for (var i=0; i<arr.length; i++) {
+    this.writeFloat16(arr[i], e);
+  }
+};
+
+/**
+  Reads a 64-bit int from the DataStream with the desired endianness.
+
+  @param {?boolean} e Endianness of the number.
+  @return {bigint} The read number.
+ */
+DataStream.prototype.readInt64 = function(e) {
+  this._checkRead(8);
+  var v = this._dataView.getBigInt64(this.position, e == null ? this.endianness : e);
+  this.position += 8;
+  return v;
+};
+
 /**
   Reads a 32-bit int from the DataStream with the desired endianness.
 
@@ -691,6 +1277,7 @@ DataStream.prototype.writeFloat32Array = function(arr, e) {
   @return {number} The read number.
  */
 DataStream.prototype.readInt32 = function(e) {
+  this._checkRead(4);
   var v = this._dataView.getInt32(this.position, e == null ? this.endianness : e);
   this.position += 4;
   return v;
@@ -703,6 +1290,7 @@ DataStream.prototype.readInt32 = function(e) {
   @return {number} The read number.
  */
 DataStream.prototype.readInt16 = function(e) {
+  this._checkRead(2);
   var v = this._dataView.getInt16(this.position, e == null ? this.endianness : e);
   this.position += 2;
   return v;
@@ -714,11 +1302,25 @@ DataStream.prototype.readInt16 = function(e) {
   @return {number} The read number.
  */
 DataStream.prototype.readInt8 = function() {
+  this._checkRead(1);
   var v = this._dataView.getInt8(this.position);
   this.position += 1;
   return v;
 };
 
+/**
+  Reads a 64-bit unsigned int from the DataStream with the desired endianness.
+
+  @param {?boolean} e Endianness of the number.
+  @return {bigint} The read number.
+ */
+DataStream.prototype.readUint64 = function(e) {
+  this._checkRead(8);
+  var v = this._dataView.getBigUint64(this.position, e == null ? this.endianness : e);
+  this.position += 8;
+  return v;
+};
+
 /**
   Reads a 32-bit unsigned int from the DataStream with the desired endianness.
 
@@ -726,6 +1328,7 @@ DataStream.prototype.readInt8 = function() {
   @return {number} The read number.
  */
 DataStream.prototype.readUint32 = function(e) {
+  this._checkRead(4);
   var v = this._dataView.getUint32(this.position, e == null ? this.endianness : e);
   this.position += 4;
   return v;
@@ -738,6 +1341,7 @@ DataStream.prototype.readUint32 = function(e) {
   @return {number} The read number.
  */
 DataStream.prototype.readUint16 = function(e) {
+  this._checkRead(2);
   var v = this._dataView.getUint16(this.position, e == null ? this.endianness : e);
   this.position += 2;
   return v;
@@ -749,11 +1353,25 @@ DataStream.prototype.readUint16 = function(e) {
   @return {number} The read number.
  */
 DataStream.prototype.readUint8 = function() {
+  this._checkRead(1);
   var v = this._dataView.getUint8(this.position);
   this.position += 1;
   return v;
 };
 
+/**
+  Reads a 16-bit float from the DataStream with the desired endianness.
+
+  @param {?boolean} e Endianness of the number.
+  @return {number} The read number.
+ */
+DataStream.prototype.readFloat16 = function(e) {
+  this._checkRead(2);
+  var v = this._dataView.getUint16(this.position, e == null ? this.endianness : e);
+  this.position += 2;
+  return DataStream.decodeFloat16(v);
+};
+
 /**
   Reads a 32-bit float from the DataStream with the desired endianness.
 
@@ -761,6 +1379,7 @@ DataStream.prototype.readUint8 = function() {
   @return {number} The read number.
  */
 DataStream.prototype.readFloat32 = function(e) {
+  this._checkRead(4);
   var v = this._dataView.getFloat32(this.position, e == null ? this.endianness : e);
   this.position += 4;
   return v;
@@ -773,12 +1392,26 @@ DataStream.prototype.readFloat32 = function(e) {
   @return {number} The read number.
  */
 DataStream.prototype.readFloat64 = function(e) {
+  this._checkRead(8);
   var v = this._dataView.getFloat64(this.position, e == null ? this.endianness : e);
   this.position += 8;
   return v;
 };
 
 
+/**
+  Writes a 64-bit int to the DataStream with the desired endianness.
+  Accepts BigInts and integral Numbers.
+
+  @param {bigint|number} v Number to write.
+  @param {?boolean} e Endianness of the number.
+ */
+DataStream.prototype.writeInt64 = function(v, e) {
+  this._realloc(8);
+  this._dataView.setBigInt64(this.position, BigInt(v), e == null ? this.endianness : e);
+  this.position += 8;
+};
+
 /**
   Writes a 32-bit int to the DataStream with the desired endianness.
 
@@ -814,6 +1447,19 @@ DataStream.prototype.writeInt8 = function(v) {
   this.position += 1;
 };
 
+/**
+  Writes a 64-bit unsigned int to the DataStream with the desired endianness.
+  Accepts BigInts and integral Numbers.
+
+  @param {bigint|number} v Number to write.
+  @param {?boolean} e Endianness of the number.
+ */
+DataStream.prototype.writeUint64 = function(v, e) {
+  this._realloc(8);
+  this._dataView.setBigUint64(this.position, BigInt(v), e == null ? this.endianness : e);
+  this.position += 8;
+};
+
 /**
   Writes a 32-bit unsigned int to the DataStream with the desired endianness.
 
@@ -849,6 +1495,19 @@ DataStream.prototype.writeUint8 = function(v) {
   this.position += 1;
 };
 
+/**
+  Writes a 16-bit float to the DataStream with the desired endianness.
+  The number is rounded to the nearest representable half-precision value.
+
+  @param {number} v Number to write.
+  @param {?boolean} e Endianness of the number.
+ */
+DataStream.prototype.writeFloat16 = function(v, e) {
+  this._realloc(2);
+  this._dataView.setUint16(this.position, DataStream.encodeFloat16(v), e == null ? this.endianness : e);
+  this.position += 2;
+};
+
 /**
   Writes a 32-bit float to the DataStream with the desired endianness.
 
@@ -873,6 +1532,485 @@ DataStream.prototype.writeFloat64 = function(v, e) {
   this.position += 8;
 };
 
+/**
+  Reads an n-bit unsigned int from the DataStream, starting at the current
+  bit position. The read can span byte boundaries. The position is advanced
+  past a byte once all of its bits have been consumed.
+
+  @param {number} n Number of bits to read, at most 53.
+  @param {?boolean} bitOrder DataStream.MSB_FIRST or DataStream.LSB_FIRST.
+  @return {number} The read number.
+ */
+DataStream.prototype.readBits = function(n, bitOrder) {
+  this._checkRead(Math.ceil((this.bitPosition + n) / 8));
+  var lsb = (bitOrder == null ? this.bitOrder : bitOrder) == DataStream.LSB_FIRST;
+  var v = 0;
+  var read = 0;
+  while (read < n) {
+    var b = this._dataView.getUint8(this.position);
+    var avail = 8 - this.bitPosition;
+    var k = Math.min(avail, n - read);
+    var mask = (1 << k) - 1;
+    if (lsb) {
+      v += ((b >> this.bitPosition) & mask) * Math.pow(2, read);
+    } else {
+      v = v * (1 << k) + ((b >> (avail - k)) & mask);
+    }
+    read += k;
+    this.bitPosition += k;
+    if (this.bitPosition == 8) {
+      this.bitPosition = 0;
+      this.position += 1;
+    }
+  }
+  return v;
+};
+
+/**
+  Writes the low n bits of v to the DataStream, starting at the current bit
+  position. Bits of a partially written byte outside the written range are
+  left untouched.
+
+  @param {number} v Number to write.
+  @param {number} n Number of bits to write, at most 53.
+  @param {?boolean} bitOrder DataStream.MSB_FIRST or DataStream.LSB_FIRST.
+ */
+DataStream.prototype.writeBits = function(v, n, bitOrder) {
+  var lsb = (bitOrder == null ? this.bitOrder : bitOrder) == DataStream.LSB_FIRST;
+  var written = 0;
+  while (written < n) {
+    this._realloc(1);
+    var b = this._dataView.getUint8(this.position);
+    var avail = 8 - this.bitPosition;
+    var k = Math.min(avail, n - written);
+    var mask = (1 << k) - 1;
+    var bits, shift;
+    if (lsb) {
+      bits = Math.floor(v / Math.pow(2, written)) & mask;
+      shift = this.bitPosition;
+    } else {
+      bits = Math.floor(v / Math.pow(2, n - written - k)) & mask;
+      shift = avail - k;
+    }
+    this._dataView.setUint8(this.position, (b & ~(mask << shift)) | (bits << shift));
+    written += k;
+    this.bitPosition += k;
+    if (this.bitPosition == 8) {
+      this.bitPosition = 0;
+      this.position += 1;
+    }
+  }
+};
+
+/**
+  Skips the remaining bits of a partially read or written byte, moving the
+  position to the next byte boundary. Does nothing if already byte-aligned.
+ */
+DataStream.prototype.alignToByte = function() {
+  if (this.bitPosition > 0) {
+    this.bitPosition = 0;
+    this.position += 1;
+  }
+};
+
+/**
+  Largest integer that can be represented exactly by a Number.
+  Variable-length integers above it are returned as BigInts.
+  @type {number}
+ */
+DataStream.MAX_SAFE_INTEGER = 9007199254740991;
+
+/**
+  Reads the 7-bit groups of a variable-length integer from the DataStream.
+  Each byte carries seven bits of payload, the high bit tells whether another
+  byte follows. The groups are returned in stream order.
+
+  @return {Array} The 7-bit groups.
+ */
+DataStream.prototype._readVarintGroups = function() {
+  var groups = [];
+  var b;
+  do {
+    b = this.readUint8();
+    groups.push(b & 0x7f);
+  } while (b & 0x80);
+  return groups;
+};
+
+/**
+  Writes 7-bit groups to the DataStream, setting the continuation bit on every
+  byte but the last.
+
+  @param {Array} groups The 7-bit groups in stream order.
+ */
+DataStream.prototype._writeVarintGroups = function(groups) {
+  this._realloc(groups.length);
+  for (var i=0; i<groups.length; i++) {
+    this.writeUint8(groups[i] | (i < groups.length-1 ? 0x80 : 0));
+  }
+};
+
+/**
+  Assembles 7-bit groups into an integer. Returns a Number if the result fits
+  in Number.MAX_SAFE_INTEGER, otherwise a BigInt.
+
+  @param {Array} groups The 7-bit groups, least significant first.
+  @param {boolean} signed Whether to sign-extend from the highest group bit.
+  @return {number|bigint} The assembled integer.
+ */
+DataStream._varintGroupsToValue = function(groups, signed) {
+  var bits = groups.length * 7;
+  var negative = signed && (groups[groups.length-1] & 0x40);
+  var i;
+  if (bits <= 49) {
+    var v = 0;
+    for (i=groups.length-1; i>=0; i--) {
+      v = v * 128 + groups[i];
+    }
+    return negative ? v - Math.pow(2, bits) : v;
+  }
+  var big = BigInt(0);
+  for (i=groups.length-1; i>=0; i--) {
+    big = (big << BigInt(7)) | BigInt(groups[i]);
+  }
+  if (negative) {
+    big -= BigInt(1) << BigInt(bits);
+  }
+  if (big <= BigInt(DataStream.MAX_SAFE_INTEGER) &&
+      big >= BigInt(-DataStream.MAX_SAFE_INTEGER)) {
+    return Number(big);
+  }
+  return big;
+};
+
+/**
+  Splits an integer into 7-bit groups, least significant first.
+  Signed values get enough groups for the highest group bit to carry the sign.
+
+  @param {number|bigint} v The integer to split.
+  @param {boolean} signed Whether to encode v as a signed value.
+  @return {Array} The 7-bit groups.
+ */
+DataStream._valueToVarintGroups = function(v, signed) {
+  var groups = [];
+  var g;
+  if (typeof v == 'bigint') {
+    if (!signed && v < BigInt(0)) {
+      throw("DataStream: Can't write negative value as unsigned varint.");
+    }
+    var seven = BigInt(7), mask = BigInt(0x7f);
+    while (true) {
+      g = Number(v & mask);
+      v >>= seven;
+      if (signed ? ((v == BigInt(0) && !(g & 0x40)) || (v == BigInt(-1) && (g & 0x40)))
+                 : v == BigInt(0)) {
+        groups.push(g);
+        return groups;
+      }
+      groups.push(g);
+    }
+  }
+  if (v != Math.floor(v) || !isFinite(v)) {
+    throw("DataStream: Can't write non-integer value as varint.");
+  }
+  if (Math.abs(v) > DataStream.MAX_SAFE_INTEGER) {
+    return this._valueToVarintGroups(BigInt(v), signed);
+  }
+  if (!signed && v < 0) {
+    throw("DataStream: Can't write negative value as unsigned varint.");
+  }
+  while (true) {
+    g = ((v % 128) + 128) % 128;
+    v = Math.floor(v / 128);
+    groups.push(g);
+    if (signed ? ((v == 0 && !(g & 0x40)) || (v == -1 && (g & 0x40))) : v == 0) {
+      return groups;
+    }
+  }
+};
+
+/**
+  Reads an unsigned LEB128 integer from the DataStream, as used in
+  WebAssembly and DWARF.
+
+  @return {number|bigint} The read number, a BigInt if it exceeds 2^53-1.
+ */
+DataStream.prototype.readULEB128 = function() {
+  return DataStream._varintGroupsToValue(this._readVarintGroups(), false);
+};
+
+/**
+  Reads a signed LEB128 integer from the DataStream.
+
+  @return {number|bigint} The read number, a BigInt if it exceeds 2^53-1.
+ */
+DataStream.prototype.readSLEB128 = function() {
+  return DataStream._varintGroupsToValue(this._readVarintGroups(), true);
+};
+
+/**
+  Reads a protobuf base 128 varint from the DataStream. The value is returned
+  unsigned, negative int64 fields come back as their two's complement.
+
+  @return {number|bigint} The read number, a BigInt if it exceeds 2^53-1.
+ */
+DataStream.prototype.readVarint = function() {
+  return this.readULEB128();
+};
+
+/**
+  Reads a zigzag-encoded signed protobuf varint (sint32/sint64) from the
+  DataStream.
+
+  @return {number|bigint} The read number, a BigInt if it exceeds 2^53-1.
+ */
+DataStream.prototype.readZigZag = function() {
+  var u = this.readVarint();
+  if (typeof u == 'bigint') {
+    var one = BigInt(1);
+    var v = (u & one) ? -((u + one) >> one) : u >> one;
+    return (v <= BigInt(DataStream.MAX_SAFE_INTEGER) &&
+            v >= BigInt(-DataStream.MAX_SAFE_INTEGER)) ? Number(v) : v;
+  }
+  return (u % 2) ? -(u + 1) / 2 : u / 2;
+};
+
+/**
+  Reads a big-endian variable-length quantity from the DataStream, as used
+  for MIDI delta times.
+
+  @return {number|bigint} The read number, a BigInt if it exceeds 2^53-1.
+ */
+DataStream.prototype.readVLQ = function() {
+  return DataStream._varintGroupsToValue(this._readVarintGroups().reverse(), false);
+};
+
+/**
+  Writes an unsigned LEB128 integer to the DataStream.
+
+  @param {number|bigint} v Number to write.
+ */
+DataStream.prototype.writeULEB128 = function(v) {
+  this._writeVarintGroups(DataStream._valueToVarintGroups(v, false));
+};
+
+/**
+  Writes a signed LEB128 integer to the DataStream.
+
+  @param {number|bigint} v Number to write.
+ */
+DataStream.prototype.writeSLEB128 = function(v) {
+  this._writeVarintGroups(DataStream._valueToVarintGroups(v, true));
+};
+
+/**
+  Writes a protobuf base 128 varint to the DataStream. Negative values are
+  written as 64-bit two's complement, like protobuf int32 and int64 fields.
+
+  @param {number|bigint} v Number to write.
+ */
+DataStream.prototype.writeVarint = function(v) {
+  if (v < 0) {
+    v = BigInt.asUintN(64, BigInt(v));
+  }
+  this.writeULEB128(v);
+};
+
+/**
+  Writes a zigzag-encoded signed protobuf varint to the DataStream.
+
+  @param {number|bigint} v Number to write.
+ */
+DataStream.prototype.writeZigZag = function(v) {
+  if (typeof v == 'bigint' || Math.abs(v) > DataStream.MAX_SAFE_INTEGER / 2) {
+    v = BigInt(v);
+    var one = BigInt(1);
+    this.writeVarint(v < BigInt(0) ? -(v << one) - one : v << one);
+  } else {
+    this.writeVarint(v < 0 ? -2 * v - 1 : 2 * v);
+  }
+};
+
+/**
+  Writes a big-endian variable-length quantity to the DataStream.
+
+  @param {number|bigint} v Number to write.
+ */
+DataStream.prototype.writeVLQ = function(v) {
+  this._writeVarintGroups(DataStream._valueToVarintGroups(v, false).reverse());
+};
+
+/**
+  Reads a fixed-point number with intBits integer bits and fracBits fraction
+  bits, e.g. readFixed(16, 16, true) for a signed 16.16 number. The total
+  number of bits must be 8, 16 or 32.
+
+  @param {number} intBits Number of integer bits, including the sign bit.
+  @param {number} fracBits Number of fraction bits.
+  @param {?boolean} signed Whether the number is signed.
+  @param {?boolean} e Endianness of the number.
+  @return {number} The read number.
+ */
+DataStream.prototype.readFixed = function(intBits, fracBits, signed, e) {
+  var v;
+  switch (intBits + fracBits) {
+    case 8:
+      v = signed ? this.readInt8() : this.readUint8(); break;
+    case 16:
+      v = signed ? this.readInt16(e) : this.readUint16(e); break;
+    case 32:
+      v = signed ? this.readInt32(e) : this.readUint32(e); break;
+    default:
+      throw("DataStream.readFixed: Unsupported size " + (intBits + fracBits) + " bits");
+  }
+  return v / Math.pow(2, fracBits);
+};
+
+/**
+  Writes a fixed-point number with intBits integer bits and fracBits fraction
+  bits. The number is rounded to the nearest representable value. Throws a
+  RangeError if the rounded number doesn't fit in the format.
+
+  @param {number} v Number to write.
+  @param {number} intBits Number of integer bits, including the sign bit.
+  @param {number} fracBits Number of fraction bits.
+  @param {?boolean} signed Whether the number is signed.
+  @param {?boolean} e Endianness of the number.
+ */
+DataStream.prototype.writeFixed = function(v, intBits, fracBits, signed, e) {
+  var bits = intBits + fracBits;
+  var raw = Math.round(v * Math.pow(2, fracBits));
+  var min = signed ? -Math.pow(2, bits - 1) : 0;
+  var max = signed ? Math.pow(2, bits - 1) - 1 : Math.pow(2, bits) - 1;
+  if (!(raw >= min && raw <= max)) {
+    throw new RangeError("DataStream.writeFixed: " + v + " doesn't fit in " +
+                         (signed ? "" : "u") + "fixed" + intBits + "." + fracBits);
+  }
+  switch (bits) {
+    case 8:
+      signed ? this.writeInt8(raw) : this.writeUint8(raw); break;
+    case 16:
+      signed ? this.writeInt16(raw, e) : this.writeUint16(raw, e); break;
+    case 32:
+      signed ? this.writeInt32(raw, e) : this.writeUint32(raw, e); break;
+    default:
+      throw("DataStream.writeFixed: Unsupported size " + (intBits + fracBits) + " bits");
+  }
+};
+
+/**
+  Reads a rational number stored as a 32-bit numerator followed by a 32-bit
+  denominator, as in TIFF.
+
+  @param {?boolean} signed Whether the numerator and denominator are signed.
+  @param {?boolean} e Endianness of the numbers.
+  @return {Object} The read number as {numerator, denominator}.
+ */
+DataStream.prototype.readRational = function(signed, e) {
+  var n = signed ? this.readInt32(e) : this.readUint32(e);
+  var d = signed ? this.readInt32(e) : this.readUint32(e);
+  return {numerator: n, denominator: d};
+};
+
+/**
+  Writes a rational number as a 32-bit numerator followed by a 32-bit
+  denominator. Accepts {numerator, denominator} objects, [numerator,
+  denominator] arrays and Numbers, which are written as the closest fraction
+  that fits in 32 bits. Throws a RangeError if the number or its numerator
+  or denominator doesn't fit.
+
+  @param {Object} v The number to write.
+  @param {?boolean} signed Whether the numerator and denominator are signed.
+  @param {?boolean} e Endianness of the numbers.
+ */
+DataStream.prototype.writeRational = function(v, signed, e) {
+  var r = typeof v == 'number' ? DataStream._toRational(v, signed) :
+          v instanceof Array ? {numerator: v[0], denominator: v[1]} : v;
+  var min = signed ? -0x80000000 : 0;
+  var max = signed ? 0x7fffffff : 0xffffffff;
+  if (!(r.numerator >= min && r.numerator <= max && r.denominator >= min && r.denominator <= max)) {
+    throw new RangeError("DataStream.writeRational: " + r.numerator + "/" + r.denominator +
+                         " doesn't fit in " + (signed ? "srational" : "rational"));
+  }
+  if (signed) {
+    this.writeInt32(r.numerator, e);
+    this.writeInt32(r.denominator, e);
+  } else {
+    this.writeUint32(r.numerator, e);
+    this.writeUint32(r.denominator, e);
+  }
+};
+
+/**
+  Returns the closest fraction to v with a numerator and denominator that
+  fit in 32 bits, using continued fractions. Throws a RangeError if v is NaN,
+  negative for an unsigned fraction, or too large to fit.
+
+  @param {number} v The number.
+  @param {?boolean} signed Whether the numerator and denominator are signed.
+  @return {Object} The fraction as {numerator, denominator}.
+ */
+DataStream._toRational = function(v, signed) {
+  var limit = signed ? 0x7fffffff : 0xffffffff;
+  if (isNaN(v) || (v < 0 && !signed) || Math.abs(v) > limit) {
+    throw new RangeError("DataStream.writeRational: " + v + " doesn't fit in " +
+                         (signed ? "srational" : "rational"));
+  }
+  var x = Math.abs(v);
+  var h0 = 0, h1 = 1, k0 = 1, k1 = 0;
+  for (var i=0; i<64 && isFinite(x); i++) {
+    var a = Math.floor(x);
+    var h2 = a * h1 + h0, k2 = a * k1 + k0;
+    if (h2 > limit || k2 > limit) {
+      break;
+    }
+    h0 = h1; h1 = h2;
+    k0 = k1; k1 = k2;
+    if (x == a) {
+      break;
+    }
+    x = 1 / (x - a);
+  }
+  return {numerator: v < 0 ? -h1 : h1, denominator: k1};
+};
+
+/**
+  Parses a fixed-point type name: 'fixedI.F' for signed and 'ufixedI.F' for
+  unsigned numbers with I integer and F fraction bits, or 'fIdotF' for
+  signed ones like 'f2dot14'. The name can have an endianness suffix.
+  Throws for names with a total size other than 8, 16 or 32 bits, like
+  readFixed and writeFixed do.
+
+  @param {Object} t The type name.
+  @return {?Array} [intBits, fracBits, signed, endianness], or null if t
+                   isn't a fixed-point type. The endianness is null if the
+                   name has no suffix.
+ */
+DataStream._fixedPointFormat = function(t) {
+  var m = typeof t == 'string' &&
+          (/^(u?)fixed(\d+)\.(\d+)(be|le)?$/.exec(t) || /^()f(\d+)dot(\d+)(be|le)?$/.exec(t));
+  if (!m) {
+    return null;
+  }
+  var bits = parseInt(m[2]) + parseInt(m[3]);
+  if (bits != 8 && bits != 16 && bits != 32) {
+    throw("DataStream: Unsupported fixed-point size " + bits + " bits in " + t);
+  }
+  return [parseInt(m[2]), parseInt(m[3]), m[1] != 'u',
+          m[4] == 'be' ? DataStream.BIG_ENDIAN : m[4] == 'le' ? DataStream.LITTLE_ENDIAN : null];
+};
+
+/**
+  Returns true if t is a rational type name, with or without an endianness
+  suffix.
+
+  @param {Object} t The type name.
+  @return {boolean} True for 'rational' and 'srational' types.
+ */
+DataStream._isRationalType = function(t) {
+  return typeof t == 'string' && /^s?rational(be|le)?$/.test(t);
+};
+
 /**
   Native endianness. Either DataStream.BIG_ENDIAN or DataStream.LITTLE_ENDIAN
   depending on the platform endianness.
@@ -947,6 +2085,64 @@ DataStream.flipArrayEndianness = function(array) {
   return array;
 };
 
+/**
+  Decodes an IEEE 754 binary16 bit pattern into a number.
+
+  @param {number} h The 16-bit half-precision float bits.
+  @return {number} The decoded number.
+ */
+DataStream.decodeFloat16 = function(h) {
+  var sign = (h & 0x8000) ? -1 : 1;
+  var exp = (h >> 10) & 0x1f;
+  var mant = h & 0x3ff;
+  if (exp == 0) {
+    return sign * mant * Math.pow(2, -24);
+  } else if (exp == 0x1f) {
+    return mant ? NaN : sign * Infinity;
+  }
+  return sign * (1 + mant / 1024) * Math.pow(2, exp - 15);
+};
+
+/**
+  Encodes a number into an IEEE 754 binary16 bit pattern, rounding to nearest
+  with ties to even. Values too small for a subnormal flush to signed zero,
+  values too large become signed infinity.
+
+  @param {number} v The number to encode.
+  @return {number} The 16-bit half-precision float bits.
+ */
+DataStream.encodeFloat16 = function(v) {
+  if (v != v) {
+    return 0x7e00;
+  }
+  var sign = (v < 0 || (v == 0 && 1 / v < 0)) ? 0x8000 : 0;
+  var a = Math.abs(v);
+  if (a >= 65520) {
+    return sign | 0x7c00;
+  }
+  var roundEven = function(x) {
+    var f = Math.floor(x);
+    var d = x - f;
+    return (d > 0.5 || (d == 0.5 && (f & 1))) ? f + 1 : f;
+  };
+  if (a < Math.pow(2, -14)) {
+    // Subnormal. Rounding up to 0x400 yields the smallest normal number.
+    return sign | roundEven(a * Math.pow(2, 24));
+  }
+  var exp = Math.floor(Math.log(a) / Math.LN2);
+  if (Math.pow(2, exp) > a) {
+    exp--;
+  } else if (Math.pow(2, exp + 1) <= a) {
+    exp++;
+  }
+  var mant = roundEven((a / Math.pow(2, exp) - 1) * 1024);
+  if (mant == 1024) {
+    mant = 0;
+    exp++;
+  }
+  return sign | ((exp + 15) << 10) | mant;
+};
+
 /**
   Creates an array from an array of character codes.
   Uses String.fromCharCode in chunks for memory efficiency and then concatenates
@@ -965,12 +2161,791 @@ DataStream.createStringFromArray = function(array) {
 };
 
 /**
-  Seek position where DataStream#readStruct ran into a problem.
-  Useful for debugging struct parsing.
+  Builds the 256-entry lookup table for a CRC.
 
-  @type {number}
+  @param {number} poly The CRC polynomial, bit-reversed for reflected CRCs.
+  @param {number} width The CRC width in bits.
+  @param {boolean} reflected Whether the CRC processes bits LSB-first.
+  @return {Object} Uint32Array lookup table.
  */
-DataStream.prototype.failurePosition = 0;
+DataStream._crcTable = function(poly, width, reflected) {
+  var table = new Uint32Array(256);
+  var top = Math.pow(2, width - 1);
+  var mask = Math.pow(2, width) - 1;
+  for (var n=0; n<256; n++) {
+    var c = reflected ? n : n * Math.pow(2, width - 8);
+    for (var k=0; k<8; k++) {
+      if (reflected) {
+        c = (c & 1) ? (c >>> 1) ^ poly : c >>> 1;
+      } else {
+        c = (c & top) ? ((c * 2) ^ poly) & mask : (c * 2) & mask;
+      }
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+};
+
+/**
+  Computes the CRC-32 (as used by zlib, PNG and ZIP) of a Uint8Array.
+  Pass the CRC of the preceding data to compute a CRC incrementally.
+
+  @param {Object} u8 Uint8Array of the data.
+  @param {?number} crc CRC of the preceding data. Defaults to 0.
+  @return {number} The CRC-32.
+ */
+DataStream.crc32 = function(u8, crc) {
+  var table = DataStream._crc32Table;
+  if (!table) {
+    table = DataStream._crc32Table = DataStream._crcTable(0xEDB88320, 32, true);
+  }
+  var c = (crc || 0) ^ 0xFFFFFFFF;
+  for (var i=0; i<u8.length; i++) {
+    c = (c >>> 8) ^ table[(c ^ u8[i]) & 0xFF];
+  }
+  return (c ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+  Parameters of the CRC-16 variants supported by DataStream.crc16.
+  @type {Object}
+ */
+DataStream._crc16Variants = {
+  'arc': {poly: 0xA001, init: 0, reflected: true},
+  'modbus': {poly: 0xA001, init: 0xFFFF, reflected: true},
+  'kermit': {poly: 0x8408, init: 0, reflected: true},
+  'ccitt': {poly: 0x1021, init: 0xFFFF, reflected: false},
+  'xmodem': {poly: 0x1021, init: 0, reflected: false}
+};
+
+/**
+  Computes a CRC-16 of a Uint8Array. The variant is one of 'arc' (the
+  default, also known as CRC-16/IBM), 'modbus', 'kermit', 'ccitt'
+  (CRC-16/CCITT-FALSE) or 'xmodem'.
+
+  @param {Object} u8 Uint8Array of the data.
+  @param {?string} variant The CRC-16 variant.
+  @return {number} The CRC-16.
+ */
+DataStream.crc16 = function(u8, variant) {
+  var v = DataStream._crc16Variants[variant || 'arc'];
+  if (!v) {
+    throw("DataStream.crc16: Unknown variant " + variant);
+  }
+  if (!v.table) {
+    v.table = DataStream._crcTable(v.poly, 16, v.reflected);
+  }
+  var table = v.table;
+  var c = v.init;
+  var i;
+  if (v.reflected) {
+    for (i=0; i<u8.length; i++) {
+      c = (c >>> 8) ^ table[(c ^ u8[i]) & 0xFF];
+    }
+  } else {
+    for (i=0; i<u8.length; i++) {
+      c = ((c << 8) ^ table[((c >>> 8) ^ u8[i]) & 0xFF]) & 0xFFFF;
+    }
+  }
+  return c;
+};
+
+/**
+  Computes the Adler-32 checksum (as used by zlib) of a Uint8Array.
+  Pass the checksum of the preceding data to compute it incrementally.
+
+  @param {Object} u8 Uint8Array of the data.
+  @param {?number} adler Checksum of the preceding data. Defaults to 1.
+  @return {number} The Adler-32 checksum.
+ */
+DataStream.adler32 = function(u8, adler) {
+  adler = adler == null ? 1 : adler;
+  var a = adler & 0xFFFF, b = adler >>> 16;
+  for (var i=0; i<u8.length; ) {
+    var end = Math.min(u8.length, i + 5552);
+    for (; i<end; i++) {
+      a += u8[i];
+      b += a;
+    }
+    a %= 65521;
+    b %= 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+};
+
+/**
+  Computes the Fletcher-16 checksum of a Uint8Array.
+
+  @param {Object} u8 Uint8Array of the data.
+  @return {number} The Fletcher-16 checksum.
+ */
+DataStream.fletcher16 = function(u8) {
+  var a = 0, b = 0;
+  for (var i=0; i<u8.length; i++) {
+    a = (a + u8[i]) % 255;
+    b = (b + a) % 255;
+  }
+  return (b << 8) | a;
+};
+
+/**
+  Computes the Fletcher-32 checksum of a Uint8Array, read as little-endian
+  16-bit words. An odd last byte is padded with a zero byte.
+
+  @param {Object} u8 Uint8Array of the data.
+  @return {number} The Fletcher-32 checksum.
+ */
+DataStream.fletcher32 = function(u8) {
+  var a = 0, b = 0;
+  for (var i=0; i<u8.length; i+=2) {
+    a = (a + (u8[i] | ((u8[i+1] || 0) << 8))) % 65535;
+    b = (b + a) % 65535;
+  }
+  return ((b << 16) | a) >>> 0;
+};
+
+/**
+  Computes the 32-bit xxHash of a Uint8Array.
+
+  @param {Object} u8 Uint8Array of the data.
+  @param {?number} seed Hash seed. Defaults to 0.
+  @return {number} The xxHash32.
+ */
+DataStream.xxhash32 = function(u8, seed) {
+  var P1 = 2654435761, P2 = 2246822519, P3 = 3266489917, P4 = 668265263, P5 = 374761393;
+  var rotl = function(x, r) { return (x << r) | (x >>> (32 - r)); };
+  var word = function(i) { return u8[i] | (u8[i+1] << 8) | (u8[i+2] << 16) | (u8[i+3] << 24); };
+  var round = function(v, w) { return Math.imul(rotl((v + Math.imul(w, P2)) | 0, 13), P1); };
+  seed = seed || 0;
+  var i = 0, h;
+  if (u8.length >= 16) {
+    var v1 = (seed + P1 + P2) | 0, v2 = (seed + P2) | 0, v3 = seed | 0, v4 = (seed - P1) | 0;
+    for (; i <= u8.length - 16; i += 16) {
+      v1 = round(v1, word(i));
+      v2 = round(v2, word(i + 4));
+      v3 = round(v3, word(i + 8));
+      v4 = round(v4, word(i + 12));
+    }
+    h = (rotl(v1, 1) + rotl(v2, 7) + rotl(v3, 12) + rotl(v4, 18)) | 0;
+  } else {
+    h = (seed + P5) | 0;
+  }
+  h = (h + u8.length) | 0;
+  for (; i <= u8.length - 4; i += 4) {
+    h = Math.imul(rotl((h + Math.imul(word(i), P3)) | 0, 17), P4);
+  }
+  for (; i < u8.length; i++) {
+    h = Math.imul(rotl((h + Math.imul(u8[i], P5)) | 0, 11), P1);
+  }
+  h = Math.imul(h ^ (h >>> 15), P2);
+  h = Math.imul(h ^ (h >>> 13), P3);
+  return (h ^ (h >>> 16)) >>> 0;
+};
+
+/**
+  Checksum algorithms for DataStream.prototype.checksum and the 'checksum'
+  struct type, mapped to the default type the checksum is stored as and the
+  function that computes it from a Uint8Array.
+  @type {Object}
+ */
+DataStream.checksums = {
+  'crc32': {type: 'uint32', compute: function(u8) { return DataStream.crc32(u8); }},
+  'crc16': {type: 'uint16', compute: function(u8) { return DataStream.crc16(u8, 'arc'); }},
+  'crc16-modbus': {type: 'uint16', compute: function(u8) { return DataStream.crc16(u8, 'modbus'); }},
+  'crc16-kermit': {type: 'uint16', compute: function(u8) { return DataStream.crc16(u8, 'kermit'); }},
+  'crc16-ccitt': {type: 'uint16', compute: function(u8) { return DataStream.crc16(u8, 'ccitt'); }},
+  'crc16-xmodem': {type: 'uint16', compute: function(u8) { return DataStream.crc16(u8, 'xmodem'); }},
+  'adler32': {type: 'uint32', compute: function(u8) { return DataStream.adler32(u8); }},
+  'fletcher16': {type: 'uint16', compute: DataStream.fletcher16},
+  'fletcher32': {type: 'uint32', compute: DataStream.fletcher32},
+  'xxhash32': {type: 'uint32', compute: function(u8) { return DataStream.xxhash32(u8); }}
+};
+
+/**
+  DEFLATE length code base values, extra bits, distance code base values
+  and extra bits, from RFC 1951.
+  @type {Object}
+ */
+DataStream._deflateCodes = {
+  lengthBase: [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+               35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258],
+  lengthExtra: [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+                3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0],
+  distBase: [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+             257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145,
+             8193, 12289, 16385, 24577],
+  distExtra: [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+              7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13],
+  codeLengthOrder: [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15]
+};
+
+/**
+  Builds a canonical Huffman decoding table from code lengths.
+
+  @param {Array} lengths Code length of each symbol, 0 for unused symbols.
+  @return {Object} The table as {count, symbol}: the number of codes of each
+                   length and the symbols ordered by code.
+ */
+DataStream._huffmanTable = function(lengths) {
+  var count = new Uint16Array(16);
+  var offs = new Uint16Array(16);
+  var symbol = new Uint16Array(lengths.length);
+  var i;
+  for (i=0; i<lengths.length; i++) {
+    count[lengths[i]]++;
+  }
+  count[0] = 0;
+  for (i=1; i<16; i++) {
+    offs[i] = offs[i-1] + count[i-1];
+  }
+  for (i=0; i<lengths.length; i++) {
+    if (lengths[i] != 0) {
+      symbol[offs[lengths[i]]++] = i;
+    }
+  }
+  return {count: count, symbol: symbol};
+};
+
+/**
+  Decompresses raw DEFLATE data.
+  Throws a RangeError if the data ends before the last block.
+
+  @param {Object} src Uint8Array of the compressed data.
+  @param {number} pos Offset of the compressed data in src.
+  @return {Object} {data, end}: Uint8Array of the decompressed data and the
+                   offset in src after the compressed data.
+ */
+DataStream._inflateRaw = function(src, pos) {
+  var codes = DataStream._deflateCodes;
+  var out = new Uint8Array(Math.max(1024, (src.length - pos) * 4));
+  var outPos = 0;
+  var bitBuf = 0, bitCount = 0;
+  var bits = function(n) {
+    while (bitCount < n) {
+      if (pos >= src.length) {
+        throw new RangeError("DataStream.inflate: Unexpected end of data");
+      }
+      bitBuf |= src[pos++] << bitCount;
+      bitCount += 8;
+    }
+    var v = bitBuf & ((1 << n) - 1);
+    bitBuf >>>= n;
+    bitCount -= n;
+    return v;
+  };
+  var ensure = function(n) {
+    if (outPos + n > out.length) {
+      var len = out.length * 2;
+      while (outPos + n > len) {
+        len *= 2;
+      }
+      var grown = new Uint8Array(len);
+      grown.set(out);
+      out = grown;
+    }
+  };
+  var decode = function(h) {
+    var code = 0, first = 0, index = 0;
+    for (var len=1; len<16; len++) {
+      code |= bits(1);
+      var count = h.count[len];
+      if (code - first < count) {
+        return h.symbol[index + code - first];
+      }
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+    throw("DataStream.inflate: Invalid Huffman code");
+  };
+  var fixedLit = DataStream._fixedLitTable, fixedDist = DataStream._fixedDistTable;
+  if (!fixedLit) {
+    var lengths = [];
+    for (var i=0; i<288; i++) {
+      lengths.push(i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8);
+    }
+    fixedLit = DataStream._fixedLitTable = DataStream._huffmanTable(lengths);
+    lengths = [];
+    for (i=0; i<30; i++) {
+      lengths.push(5);
+    }
+    fixedDist = DataStream._fixedDistTable = DataStream._huffmanTable(lengths);
+  }
+  var last = 0;
+  while (!last) {
+    last = bits(1);
+    var type = bits(2);
+    if (type == 0) {
+      bitBuf = 0;
+      bitCount = 0;
+      if (pos + 4 > src.length) {
+        throw new RangeError("DataStream.inflate: Unexpected end of data");
+      }
+      var len = src[pos] | (src[pos+1] << 8);
+      if ((len ^ 0xFFFF) != (src[pos+2] | (src[pos+3] << 8))) {
+        throw("DataStream.inflate: Invalid stored block length");
+      }
+      pos += 4;
+      if (pos + len > src.length) {
+        throw new RangeError("DataStream.inflate: Unexpected end of data");
+      }
+      ensure(len);
+      out.set(src.subarray(pos, pos + len), outPos);
+      outPos += len;
+      pos += len;
+      continue;
+    }
+    var lit, dist;
+    if (type == 1) {
+      lit = fixedLit;
+      dist = fixedDist;
+    } else if (type == 2) {
+      var nlen = bits(5) + 257, ndist = bits(5) + 1, ncode = bits(4) + 4;
+      var lengths = new Array(19);
+      for (var i=0; i<19; i++) {
+        lengths[codes.codeLengthOrder[i]] = i < ncode ? bits(3) : 0;
+      }
+      var lencode = DataStream._huffmanTable(lengths);
+      lengths = [];
+      while (lengths.length < nlen + ndist) {
+        var sym = decode(lencode);
+        if (sym < 16) {
+          lengths.push(sym);
+          continue;
+        }
+        var rep = 0, n;
+        if (sym == 16) {
+          if (lengths.length == 0) {
+            throw("DataStream.inflate: Repeat with no previous length");
+          }
+          rep = lengths[lengths.length - 1];
+          n = 3 + bits(2);
+        } else if (sym == 17) {
+          n = 3 + bits(3);
+        } else {
+          n = 11 + bits(7);
+        }
+        if (lengths.length + n > nlen + ndist) {
+          throw("DataStream.inflate: Too many code lengths");
+        }
+        while (n--) {
+          lengths.push(rep);
+        }
+      }
+      lit = DataStream._huffmanTable(lengths.slice(0, nlen));
+      dist = DataStream._huffmanTable(lengths.slice(nlen));
+    } else {
+      throw("DataStream.inflate: Invalid block type");
+    }
+    while (true) {
+      var sym = decode(lit);
+      if (sym < 256) {
+        ensure(1);
+        out[outPos++] = sym;
+      } else if (sym == 256) {
+        break;
+      } else {
+        sym -= 257;
+        if (sym >= 29) {
+          throw("DataStream.inflate: Invalid length code");
+        }
+        var len = codes.lengthBase[sym] + bits(codes.lengthExtra[sym]);
+        var dsym = decode(dist);
+        if (dsym >= 30) {
+          throw("DataStream.inflate: Invalid distance code");
+        }
+        var d = codes.distBase[dsym] + bits(codes.distExtra[dsym]);
+        if (d > outPos) {
+          throw("DataStream.inflate: Distance too far back");
+        }
+        ensure(len);
+        for (var j=0; j<len; j++, outPos++) {
+          out[outPos] = out[outPos - d];
+        }
+      }
+    }
+  }
+  return {data: out.slice(0, outPos), end: pos};
+};
+
+/**
+  Compresses data into raw DEFLATE data. Level 0 writes stored blocks,
+  levels 1 to 9 find repeated strings with increasingly long searches and
+  write them with the fixed Huffman codes, falling back to stored blocks
+  for data that doesn't compress.
+
+  @param {Object} src Uint8Array of the data.
+  @param {number} level Compression level from 0 to 9.
+  @return {Object} Uint8Array of the compressed data.
+ */
+DataStream._deflateRaw = function(src, level) {
+  var codes = DataStream._deflateCodes;
+  var out = new Uint8Array(Math.max(1024, src.length + (src.length >> 3) + 16));
+  var outPos = 0;
+  var bitBuf = 0, bitCount = 0;
+  var ensure = function(n) {
+    if (outPos + n > out.length) {
+      var grown = new Uint8Array(Math.max(out.length * 2, outPos + n));
+      grown.set(out);
+      out = grown;
+    }
+  };
+  var put = function(v, n) {
+    bitBuf |= v << bitCount;
+    bitCount += n;
+    while (bitCount >= 8) {
+      ensure(1);
+      out[outPos++] = bitBuf & 0xFF;
+      bitBuf >>>= 8;
+      bitCount -= 8;
+    }
+  };
+  var i;
+  if (level == 0 || src.length == 0) {
+    i = 0;
+    do {
+      var len = Math.min(65535, src.length - i);
+      put(i + len >= src.length ? 1 : 0, 3);
+      if (bitCount > 0) {
+        put(0, 8 - bitCount);
+      }
+      ensure(len + 4);
+      out[outPos++] = len & 0xFF;
+      out[outPos++] = len >> 8;
+      out[outPos++] = ~len & 0xFF;
+      out[outPos++] = (~len >> 8) & 0xFF;
+      out.set(src.subarray(i, i + len), outPos);
+      outPos += len;
+      i += len;
+    } while (i < src.length);
+    return out.slice(0, outPos);
+  }
+  var reverse = function(code, len) {
+    var r = 0;
+    for (var k=0; k<len; k++) {
+      r = (r << 1) | ((code >> k) & 1);
+    }
+    return r;
+  };
+  var litCode = DataStream._fixedLitCodes;
+  if (!litCode) {
+    litCode = DataStream._fixedLitCodes = new Uint16Array(288);
+    var litLen = DataStream._fixedLitLengths = new Uint8Array(288);
+    for (i=0; i<288; i++) {
+      var base = i < 144 ? [0x30, 0, 8] : i < 256 ? [0x190, 144, 9] :
+                 i < 280 ? [0, 256, 7] : [0xC0, 280, 8];
+      litLen[i] = base[2];
+      litCode[i] = reverse(base[0] + i - base[1], base[2]);
+    }
+  }
+  var litLen = DataStream._fixedLitLengths;
+  var lengthSym = function(len) {
+    var s = 28;
+    while (codes.lengthBase[s] > len) {
+      s--;
+    }
+    return s;
+  };
+  var distSym = function(d) {
+    var s = 29;
+    while (codes.distBase[s] > d) {
+      s--;
+    }
+    return s;
+  };
+  var maxChain = [0, 4, 8, 16, 32, 64, 128, 256, 1024, 4096][level];
+  var head = new Int32Array(1 << 15);
+  var prev = new Int32Array(32768);
+  for (i=0; i<head.length; i++) {
+    head[i] = -1;
+  }
+  var hash = function(p) {
+    return ((src[p] << 10) ^ (src[p+1] << 5) ^ src[p+2]) & 0x7FFF;
+  };
+  var insert = function(p) {
+    var h = hash(p);
+    prev[p & 0x7FFF] = head[h];
+    head[h] = p;
+  };
+  put(1, 1);
+  put(1, 2);
+  i = 0;
+  while (i < src.length) {
+    var bestLen = 0, bestDist = 0;
+    if (i + 2 < src.length) {
+      var maxLen = Math.min(258, src.length - i);
+      var p = head[hash(i)];
+      for (var chain=maxChain; p >= 0 && i - p <= 32768 && chain > 0; chain--) {
+        if (src[p + bestLen] == src[i + bestLen]) {
+          var l = 0;
+          while (l < maxLen && src[p + l] == src[i + l]) {
+            l++;
+          }
+          if (l > bestLen) {
+            bestLen = l;
+            bestDist = i - p;
+            if (l == maxLen) {
+              break;
+            }
+          }
+        }
+        var np = prev[p & 0x7FFF];
+        if (np >= p) {
+          break;
+        }
+        p = np;
+      }
+    }
+    if (bestLen >= 3) {
+      var ls = lengthSym(bestLen);
+      put(litCode[257 + ls], litLen[257 + ls]);
+      put(bestLen - codes.lengthBase[ls], codes.lengthExtra[ls]);
+      var ds = distSym(bestDist);
+      put(reverse(ds, 5), 5);
+      put(bestDist - codes.distBase[ds], codes.distExtra[ds]);
+      for (var end = i + bestLen; i < end; i++) {
+        if (i + 2 < src.length) {
+          insert(i);
+        }
+      }
+    } else {
+      put(litCode[src[i]], litLen[src[i]]);
+      if (i + 2 < src.length) {
+        insert(i);
+      }
+      i++;
+    }
+  }
+  put(litCode[256], litLen[256]);
+  if (bitCount > 0) {
+    put(0, 8 - bitCount);
+  }
+  if (outPos > src.length + 5 * Math.ceil(src.length / 65535)) {
+    return DataStream._deflateRaw(src, 0);
+  }
+  return out.slice(0, outPos);
+};
+
+/**
+  Decompresses zlib, gzip or raw DEFLATE data, verifying the zlib and gzip
+  checksums. Only the first member of multi-member gzip data is read.
+
+  @param {Object} src Uint8Array of the compressed data.
+  @param {?string} format 'zlib' (the default), 'gzip' or 'raw'.
+  @return {Object} {data, end}: Uint8Array of the decompressed data and the
+                   offset in src after the compressed data.
+ */
+DataStream._inflate = function(src, format) {
+  var need = function(n) {
+    if (n > src.length) {
+      throw new RangeError("DataStream.inflate: Unexpected end of data");
+    }
+  };
+  var pos = 0, r;
+  format = format || 'zlib';
+  if (format == 'zlib') {
+    need(2);
+    if ((src[0] & 0x0F) != 8 || ((src[0] << 8) | src[1]) % 31 != 0) {
+      throw("DataStream.inflate: Invalid zlib header");
+    }
+    if (src[1] & 0x20) {
+      throw("DataStream.inflate: zlib preset dictionaries are not supported");
+    }
+    r = DataStream._inflateRaw(src, 2);
+    need(r.end + 4);
+    var adler = ((src[r.end] << 24) | (src[r.end+1] << 16) | (src[r.end+2] << 8) | src[r.end+3]) >>> 0;
+    if (adler != DataStream.adler32(r.data)) {
+      throw("DataStream.inflate: zlib checksum mismatch");
+    }
+    r.end += 4;
+  } else if (format == 'gzip') {
+    need(10);
+    if (src[0] != 0x1F || src[1] != 0x8B || src[2] != 8) {
+      throw("DataStream.inflate: Invalid gzip header");
+    }
+    var flags = src[3];
+    pos = 10;
+    if (flags & 4) {
+      need(pos + 2);
+      pos += 2 + (src[pos] | (src[pos+1] << 8));
+    }
+    for (var f=8; f<=16; f+=8) {
+      if (flags & f) {
+        do {
+          need(pos + 1);
+        } while (src[pos++] != 0);
+      }
+    }
+    if (flags & 2) {
+      pos += 2;
+    }
+    need(pos);
+    r = DataStream._inflateRaw(src, pos);
+    need(r.end + 8);
+    var t = r.end;
+    var crc = (src[t] | (src[t+1] << 8) | (src[t+2] << 16) | (src[t+3] << 24)) >>> 0;
+    var size = (src[t+4] | (src[t+5] << 8) | (src[t+6] << 16) | (src[t+7] << 24)) >>> 0;
+    if (crc != DataStream.crc32(r.data) || size != r.data.length % 0x100000000) {
+      throw("DataStream.inflate: gzip checksum mismatch");
+    }
+    r.end += 8;
+  } else if (format == 'raw') {
+    r = DataStream._inflateRaw(src, 0);
+  } else {
+    throw("DataStream.inflate: Unknown format " + format);
+  }
+  return r;
+};
+
+/**
+  Decompresses zlib, gzip or raw DEFLATE data.
+
+  @param {Object} u8 Uint8Array of the compressed data.
+  @param {?Object} options Optional settings: format, one of 'zlib' (the
+                           default), 'gzip' or 'raw'.
+  @return {Object} Uint8Array of the decompressed data.
+ */
+DataStream.inflate = function(u8, options) {
+  return DataStream._inflate(u8, options && options.format).data;
+};
+
+/**
+  Compresses data into zlib, gzip or raw DEFLATE data.
+
+  @param {Object} u8 Uint8Array of the data.
+  @param {?Object} options Optional settings: format, one of 'zlib' (the
+                           default), 'gzip' or 'raw', and level, the
+                           compression level from 0 to 9 (default 6).
+  @return {Object} Uint8Array of the compressed data.
+ */
+DataStream.deflate = function(u8, options) {
+  options = options || {};
+  var format = options.format || 'zlib';
+  var level = options.level == null ? 6 : options.level;
+  var raw = DataStream._deflateRaw(u8, level);
+  var header, trailer;
+  if (format == 'zlib') {
+    var flevel = level < 2 ? 0 : level < 6 ? 1 : level == 6 ? 2 : 3;
+    var flg = flevel << 6;
+    flg += 31 - ((0x78 << 8) | flg) % 31;
+    header = [0x78, flg];
+    var adler = DataStream.adler32(u8);
+    trailer = [adler >>> 24, (adler >> 16) & 0xFF, (adler >> 8) & 0xFF, adler & 0xFF];
+  } else if (format == 'gzip') {
+    header = [0x1F, 0x8B, 8, 0, 0, 0, 0, 0, level == 9 ? 2 : level < 2 ? 4 : 0, 255];
+    var crc = DataStream.crc32(u8);
+    var size = u8.length;
+    trailer = [crc & 0xFF, (crc >> 8) & 0xFF, (crc >> 16) & 0xFF, crc >>> 24,
+               size & 0xFF, (size >> 8) & 0xFF, (size >> 16) & 0xFF, (size >>> 24) & 0xFF];
+  } else if (format == 'raw') {
+    return raw;
+  } else {
+    throw("DataStream.deflate: Unknown format " + format);
+  }
+  var out = new Uint8Array(header.length + raw.length + trailer.length);
+  out.set(header);
+  out.set(raw, header.length);
+  out.set(trailer, header.length + raw.length);
+  return out;
+};
+
+/**
+  Seek position where DataStream#readStruct ran into a problem.
+  Useful for debugging struct parsing.
+
+  @type {number}
+ */
+DataStream.prototype.failurePosition = 0;
+
+/**
+  If set, readStruct and readType throw a DataStream.ParseError describing
+  the failed field instead of returning null. Errors thrown while reading fields, such as
+  RangeErrors from reading past the end, are wrapped in a DataStream.ParseError
+  too.
+
+  @type {boolean}
+ */
+DataStream.prototype.throwOnParseError = false;
+
+/**
+  Error thrown by readStruct and readType when throwOnParseError is set.
+
+  @param {string} path Path of the failed field, e.g. 'markers[3].data.id'.
+                       Empty if the failed read was a readType call.
+  @param {Object} type The type of the failed field.
+  @param {number} position Position in the DataStream where the read failed.
+  @param {number} remaining Number of bytes left in the DataStream.
+  @param {Object} struct The partial struct read so far, with the partially
+                         read nested structs and arrays filled in.
+  @param {?Object} cause The error thrown while reading the field, if any.
+ */
+DataStream.ParseError = function(path, type, position, remaining, struct, cause) {
+  this.path = path;
+  this.type = type;
+  this.position = position;
+  this.remaining = remaining;
+  this.struct = struct;
+  this.cause = cause;
+  this.message = this._formatMessage();
+  this.stack = (new Error(this.message)).stack;
+};
+DataStream.ParseError.prototype = Object.create(Error.prototype);
+DataStream.ParseError.prototype.constructor = DataStream.ParseError;
+DataStream.ParseError.prototype.name = 'DataStreamParseError';
+
+/**
+  Builds the error message from the error fields.
+
+  @return {string} The error message.
+ */
+DataStream.ParseError.prototype._formatMessage = function() {
+  var t = this.type;
+  var typeName = typeof t == 'string' ? t :
+                 typeof t == 'function' ? 'callback' :
+                 !(t instanceof Array) ? 'get/set' :
+                 DataStream._isPointerType(t) || DataStream._isChecksumType(t) ||
+                 DataStream._isDeflatedType(t) || DataStream._isFieldRefType(t) ||
+                 DataStream._isEnumType(t) ? t[0] :
+                 t.length != 3 ? 'struct' :
+                 typeof t[0] == 'string' && t[0] != '[]' ? t[0] : 'array';
+  var msg = this.path === '' ?
+            "DataStream.readType: Failed to read " + typeName :
+            "DataStream.readStruct: Failed to read " + this.path + " (" + typeName + ")";
+  msg += " at position " + this.position + ", " + this.remaining + " bytes remaining";
+  if (this.cause) {
+    msg += ": " + (this.cause.message || this.cause);
+  }
+  return msg;
+};
+
+/**
+  Creates a DataStream.ParseError for a field that failed to read, or adds the
+  field to the path of a DataStream.ParseError thrown by a nested field.
+
+  @param {?Object} cause The error thrown while reading the field, if any.
+  @param {string|number} name Field name, or array index.
+  @param {Object} type Type of the field.
+  @param {Object} partial The struct or array being read.
+  @return {Object} The DataStream.ParseError to throw.
+ */
+DataStream.prototype._parseError = function(cause, name, type, partial) {
+  var component = typeof name == 'number' ? '[' + name + ']' : name;
+  if (cause instanceof DataStream.ParseError && cause.path === '') {
+    // Thrown by readType in a DataStream of its own, e.g. a substream.
+    cause.path = String(component);
+    cause.struct = partial;
+    cause.message = cause._formatMessage();
+    return cause;
+  } else if (cause instanceof DataStream.ParseError) {
+    cause.path = component + (cause.path.charAt(0) == '[' ? '' : '.') + cause.path;
+    partial[name] = cause.struct;
+    cause.struct = partial;
+    cause.message = cause._formatMessage();
+    return cause;
+  }
+  return new DataStream.ParseError(component, type, this.position,
+                                   this.byteLength - this.position, partial, cause);
+};
 
 /**
   Reads a struct of data from the DataStream. The struct is defined as
@@ -1000,9 +2975,32 @@ DataStream.prototype.failurePosition = 0;
   'int8' -- 8-bit int
   'int16' -- 16-bit int
   'int32' -- 32-bit int
+  'uint64' -- 64-bit unsigned int, read as a BigInt
+  'int64' -- 64-bit int, read as a BigInt
+  'float16' -- 16-bit float, read as a Number
   'float32' -- 32-bit float
   'float64' -- 64-bit float
 
+  // Fixed-point types
+  // Read as Numbers. Unsuffixed types use DataStream endianness, suffix the
+  // type with 'le' or 'be' for explicit endianness, e.g. 'fixed16.16be'.
+  'fixedI.F' -- Signed fixed-point number with I integer bits and F fraction
+    bits, I+F being 8, 16 or 32, e.g. 'fixed16.16'.
+  'ufixedI.F' -- Unsigned fixed-point number, e.g. 'ufixed8.8'.
+  'f2dot14' -- Signed 2.14 fixed-point number, as in OpenType.
+  'rational' -- Unsigned 32-bit numerator and denominator, read as
+    {numerator, denominator}. Also written from [numerator, denominator]
+    arrays and Numbers.
+  'srational' -- Signed 32-bit numerator and denominator.
+
+  // Variable-length integer types
+  // Read as Numbers, or as BigInts if they exceed 2^53-1.
+  'uleb128' -- Unsigned LEB128
+  'sleb128' -- Signed LEB128
+  'varint' -- Protobuf base 128 varint
+  'zigzag' -- Zigzag-encoded protobuf varint
+  'vlq' -- Big-endian variable-length quantity, as used in MIDI
+
   // String types
   'cstring' -- ASCII string terminated by a zero byte.
   'string:N' -- ASCII string of length N, where N is a literal integer.
@@ -1013,6 +3011,23 @@ DataStream.prototype.failurePosition = 0;
   'u16stringle:N' -- UCS-2 string of length N in little-endian.
   'u16stringbe:N' -- UCS-2 string of length N in big-endian.
 
+  // Bit field types
+  // Bit fields are read with readBits and may share bytes with each other.
+  // A non-bit field following a bit field starts at the next byte boundary.
+  'bits:N' -- N-bit unsigned int in DataStream bitOrder. N can also be the
+    name of a previously parsed field.
+  'bitsbe:N' -- N-bit unsigned int, most significant bit first.
+  'bitsle:N' -- N-bit unsigned int, least significant bit first.
+
+  // Padding types
+  // Padding fields are left out of the read struct and written as zeroes.
+  'align:N' -- Skips to the next multiple of N bytes from the start of the
+    DataStream.
+  'alignstruct:N' -- Skips to the next multiple of N bytes from the start of
+    the enclosing struct.
+  'pad:N' -- Skips N bytes. N can also be the name of a previously parsed field.
+  'skip:N' -- Same as 'pad:N'.
+
   // Complex types
   [name, type, name_2, type_2, ..., name_N, type_N] -- Struct
   function(dataStream, struct) {} -- Callback function to read and return data.
@@ -1025,27 +3040,149 @@ DataStream.prototype.failurePosition = 0;
                         field, or a callback function(struct, dataStream, type){}.
                         If length is '*', reads in as many elements as it can.
 
+  // Named types
+  'typeName' -- A type registered with DataStream.defineType or
+                dataStream.defineType.
+
+  // Conditional types
+  // The condition and the selector can be either the name of a previously
+  // read field or a callback function(struct, dataStream){}.
+  ['if', condition, type] -- Reads type if the condition is truthy, otherwise
+                             the field is left out of the struct.
+  ['switch', selector, cases] -- Reads the type cases[selector], or
+                                 cases['default'] if there is no such case.
+                                 Fails if neither exists.
+
+  // Pointer types
+  ['ptr', offsetType, type, options] -- Reads an offset of offsetType, then
+    reads type at that offset and returns to the position after the offset.
+    The options object is optional and can have the following fields:
+      base: What the offset is relative to. Either 'start' for the start of
+            the DataStream (the default), 'struct' for the start of the
+            enclosing struct, 'field' for the position of the offset itself,
+            a number, or a callback function(struct, dataStream){}.
+      nullable: If true, a zero offset means the field is left out.
+    When writing, the pointed-to data is written after the outermost struct
+    being written and the offset is filled in afterwards.
+
+  // Symbolic types
+  // The options object is optional and can have the following fields:
+  //   rejectUnknown: If true, reads of values that aren't in the names or
+  //                  masks fail, and writes of them throw.
+  //   withValue: If true, enums are read as {value, name} objects.
+  ['enum', type, names, options] -- Value of the numeric type, read as
+    names[value], or as the value if names has no such key. Writes accept
+    both names and values.
+  ['flags', type, masks, options] -- Bit flags of the numeric type, read as
+    an object of booleans, flag name: whether all the bits of masks[name]
+    are set. Writes accept objects of booleans, arrays of flag names and
+    numbers.
+
+  // Length and offset fields
+  ['lengthOf', field, type] -- Byte length of the field named field in the
+    enclosing struct, stored as type. Reads read it as type. Writes write
+    the length of the field once the struct has been written.
+  ['offsetOf', field, type, options] -- Offset of the field named field in
+    the enclosing struct, stored as type. Written like lengthOf. The options
+    object is optional and can have a base field like a pointer type.
+
+  // Bounded data
+  ['sub', length, type] -- Reads type from a substream of the next length
+    bytes and moves past them, whether type used all of them or not. The
+    length is like the length of an array, '*' meaning the rest of the data.
+    Writes pad the written type with zeroes to the length.
+
+  // Compressed data
+  ['deflated', format, length, type] -- Reads type from the decompressed
+    contents of length bytes of zlib, gzip or raw DEFLATE data, depending on
+    whether format is 'zlib', 'gzip' or 'raw'. The length is like the
+    length of an array. If the length is '*', the compressed data extends
+    to its own end. Writes write the compressed type.
+
+  // Checksums
+  ['checksum', algorithm, type, options] -- Checksum of the preceding bytes,
+    stored as type, or as DataStream.checksums[algorithm].type if type is
+    null. The type can't be left out, as ['checksum', algorithm] is a struct.
+    The algorithm is a name in DataStream.checksums, e.g. 'crc32'.
+    Reads fail if the stored checksum doesn't match the data, and writes
+    write the computed checksum. The options object is optional and can
+    have the following fields:
+      from: Name of the first field covered. Defaults to the start of the
+            enclosing struct.
+      to: Name of the last field covered. Defaults to the field before the
+          checksum.
+      range: Callback function(struct, dataStream){} returning the
+             [start, end] positions covered, instead of from and to.
+      verify: If false, reads don't verify the checksum. If 'report',
+              mismatches are added to dataStream.checksumMismatches
+              instead of failing the read.
+
+  The 'ptr', 'checksum', 'lengthOf', 'offsetOf', 'enum' and 'flags' names
+  are reserved as the first element of these types. A two-field struct whose first field
+  has one of these names is only read as a struct if the type of its second
+  field isn't an options object, e.g. ['offsetOf', 'uint8', 'b', 'uint8'].
+
+  The struct definition is compiled into a reader function on first use and
+  the result is cached, see DataStream.compileStruct.
+
+  If throwOnParseError is set, failed reads throw a DataStream.ParseError
+  instead of returning null.
+
+  If lenient is set, a struct that runs out of data is returned with the
+  fields read so far and the eof flag is set. If strict is set, reading past
+  the end throws a DataStream.EOFError, wrapped in a DataStream.ParseError if
+  throwOnParseError is set.
+
+  With options.withOffsets set, the byte range of every field read is
+  recorded in dataStream.lastStructLayout.
+
   @param {Object} structDefinition Struct definition object.
+  @param {?Object} options Optional settings: withOffsets.
   @return {Object} The read struct. Null if failed to read struct.
  */
-DataStream.prototype.readStruct = function(structDefinition) {
-  var struct = {}, t, v, n;
-  var p = this.position;
-  for (var i=0; i<structDefinition.length; i+=2) {
-    t = structDefinition[i+1];
-    v = this.readType(t, struct);
-    if (v == null) {
-      if (this.failurePosition == 0) {
-        this.failurePosition = this.position;
-      }
-      this.position = p;
-      return null;
+DataStream.prototype.readStruct = function(structDefinition, options) {
+  var compiled = DataStream.compileStruct(structDefinition);
+  var reading = this._readingType;
+  var layout = this._layout;
+  var withOffsets = options && options.withOffsets;
+  var root = null;
+  var v = null;
+  this._readingType = true;
+  if (withOffsets) {
+    root = {name: null, type: structDefinition, offset: this.position, length: 0, children: []};
+    this._layout = root.children;
+  }
+  try {
+    v = compiled.read(this);
+  } finally {
+    this._readingType = reading;
+    if (withOffsets) {
+      this._layout = layout;
+      this.lastStructLayout = root;
     }
-    struct[structDefinition[i]] = v;
   }
-  return struct;
+  if (withOffsets && v != null) {
+    root.length = this.position - root.offset;
+  }
+  return v;
 };
 
+/**
+  Layout of the last struct read with readStruct(def, {withOffsets: true}).
+  A tree of {name, type, offset, length, children} nodes that mirrors the
+  read struct: the root node is the struct itself, the children of a struct
+  node are its fields, and the children of an array node are its elements,
+  named by their index. Arrays of numbers are read in one go and have no
+  element nodes. Fields read by callbacks and get/set objects cover the
+  bytes the callback consumed, and have children for the structs it read.
+
+  After a failed read, the root has length 0 and holds the fields read before
+  the failure.
+
+  @type {?Object}
+ */
+DataStream.prototype.lastStructLayout = null;
+
 /**
   Read UCS-2 string of desired length and endianness from the DataStream.
 
@@ -1140,6 +3277,12 @@ DataStream.prototype.readCString = function(length) {
     len = Math.min(length, blen);
   }
   for (var i = 0; i < len && u8[i] != 0; i++); // find first zero byte
+  if (length != null ? length > blen : i == blen) {
+    if (this.strict) {
+      throw new DataStream.EOFError(this.position, length != null ? length : blen + 1, blen);
+    }
+    this.eof = this.eof || this.lenient;
+  }
   var s = DataStream.createStringFromArray(this.mapUint8Array(i));
   if (length != null) {
     this.position += len-i;
@@ -1177,347 +3320,3099 @@ DataStream.prototype.writeCString = function(s, length) {
 };
 
 /**
-  Reads an object of type t from the DataStream, passing struct as the thus-far
-  read struct to possible callbacks that refer to it. Used by readStruct for
-  reading in the values, so the type is one of the readStruct types.
+  Returns true if the given readStruct type name is a bit field type.
 
-  @param {Object} t Type of the object to read.
-  @param {?Object} struct Struct to refer to when resolving length references
-                          and for calling callbacks.
-  @return {?Object} Returns the object on successful read, null on unsuccessful.
+  @param {Object} t Type name with the length suffix stripped.
+  @return {boolean} True for 'bits', 'bitsbe' and 'bitsle'.
  */
-DataStream.prototype.readType = function(t, struct) {
-  if (typeof t == "function") {
-    return t(this, struct);
-  } else if (typeof t == "object" && !(t instanceof Array)) {
-    return t.get(this, struct);
-  } else if (t instanceof Array && t.length != 3) {
-    return this.readStruct(t, struct);
-  }
-  var v = null;
-  var lengthOverride = null;
-  var charset = "ASCII";
-  var pos = this.position;
-  var len;
-  if (typeof t == 'string' && /:/.test(t)) {
-    var tp = t.split(":");
-    t = tp[0];
-    len = tp[1];
+DataStream._isBitsType = function(t) {
+  return t == 'bits' || t == 'bitsbe' || t == 'bitsle';
+};
 
-    // allow length to be previously parsed variable
-    // e.g. 'string:fieldLength', if `fieldLength` has
-    // been parsed previously.
-    if (struct[len] != null) {
-      lengthOverride = parseInt(struct[len]);
-    } else {
-      // assume literal integer e.g., 'string:4'
-      lengthOverride = parseInt(tp[1]);
-    }
-  }
-  if (typeof t == 'string' && /,/.test(t)) {
-    var tp = t.split(",");
-    t = tp[0];
-    charset = parseInt(tp[1]);
-  }
-  switch(t) {
+/**
+  Global registry of named types, see DataStream.defineType.
+  @type {Object}
+ */
+DataStream.types = {};
 
-    case 'uint8':
-      v = this.readUint8(); break;
-    case 'int8':
-      v = this.readInt8(); break;
+/**
+  Registers a named type that can be used anywhere a type is accepted by
+  readStruct, writeStruct, readType and writeType, including as an array
+  element type and inside other named types.
+
+    DataStream.defineType('rgb24', ['r', 'uint8', 'g', 'uint8', 'b', 'uint8']);
+    ds.readStruct(['background', 'rgb24', 'palette', ['[]', 'rgb24', 16]]);
+
+  Built-in type names can't be redefined.
+
+  @param {string} name Name of the type.
+  @param {Object} definition Any readStruct type: a struct definition, an
+                             array definition, a type name, a callback
+                             function or a {get, set} codec object.
+ */
+DataStream.defineType = function(name, definition) {
+  DataStream._checkTypeName(name);
+  DataStream.types[name] = definition;
+};
+
+/**
+  Registers a named type for this DataStream only. Types registered on the
+  DataStream take precedence over those registered with DataStream.defineType,
+  so that libraries can use their own type names without clashing.
+
+  @param {string} name Name of the type.
+  @param {Object} definition Any readStruct type.
+ */
+DataStream.prototype.defineType = function(name, definition) {
+  DataStream._checkTypeName(name);
+  if (!this.hasOwnProperty('_types')) {
+    this._types = {};
+  }
+  this._types[name] = definition;
+};
+
+/**
+  Returns the definition of a named type, looking first in the DataStream
+  registry and then in the global registry.
+
+  @param {string} name Name of the type.
+  @return {?Object} The type definition, or null if there is no such type.
+ */
+DataStream.prototype.lookupType = function(name) {
+  var types = this._types;
+  if (types && types.hasOwnProperty(name)) {
+    return types[name];
+  }
+  return DataStream.types.hasOwnProperty(name) ? DataStream.types[name] : null;
+};
+
+/**
+  Registry of types defined on the DataStream with dataStream.defineType.
+  @type {?Object}
+ */
+DataStream.prototype._types = null;
+
+/**
+  Throws if the name can't be used for a named type.
+
+  @param {string} name Name of the type.
+ */
+DataStream._checkTypeName = function(name) {
+  if (typeof name != 'string' || name == '' || /[:,]/.test(name) ||
+      DataStream._scalarTypes[name] || DataStream._isBitsType(name) ||
+      /^(cstring|string|u16string(le|be)?|align(struct)?|pad|skip)$/.test(name)) {
+    throw("DataStream.defineType: Invalid type name " + name);
+  }
+};
+
+/**
+  Value returned by readType for a field that is not present in the data,
+  e.g. an 'if' field with a false condition. readStruct leaves such fields out
+  of the returned struct. Callbacks can return it to do the same.
+  @type {Object}
+ */
+DataStream.ABSENT = {};
+
+/**
+  Returns true if t is an ['if', ...] or ['switch', ...] type.
+
+  @param {Object} t Type to check.
+  @return {boolean} True for conditional types.
+ */
+DataStream._isConditionalType = function(t) {
+  return t instanceof Array && t.length == 3 && (t[0] === 'if' || t[0] === 'switch');
+};
+
+/**
+  Resolves a conditional type against the struct read or written so far.
+
+  @param {Object} t The ['if', ...] or ['switch', ...] type.
+  @param {Object} struct Struct to evaluate the condition or selector against.
+  @return {?Object} The type to use, DataStream.ABSENT if the field is left
+                    out, or null if no switch case matched.
+ */
+DataStream.prototype._selectType = function(t, struct) {
+  var sel = t[1];
+  var key = typeof sel == 'function' ? sel(struct, this) : struct[sel];
+  if (t[0] === 'if') {
+    return key ? t[2] : DataStream.ABSENT;
+  }
+  var cases = t[2];
+  if (key != null && cases.hasOwnProperty(key)) {
+    return cases[key];
+  }
+  return cases.hasOwnProperty('default') ? cases['default'] : null;
+};
+
+/**
+  Position where the innermost struct being read or written started.
+  Used for resolving struct-relative pointer offsets.
+  @type {number}
+ */
+DataStream.prototype._structStart = 0;
+
+/**
+  Pointed-to data waiting to be written at the end of the outermost
+  writeStruct, null when not writing a struct.
+  @type {?Array}
+ */
+DataStream.prototype._pendingPointers = null;
+
+/**
+  Position of the first byte of the DataStream in the data it was cut from,
+  for DataStreams holding a window of a larger source. Start-relative
+  pointers and 'align' padding are resolved against the source.
+  @type {number}
+ */
+DataStream.prototype._origin = 0;
+
+/**
+  True while a readType or readStruct call is in progress. Errors from the
+  nested reads are wrapped in DataStream.ParseErrors by the outermost one.
+  @type {boolean}
+ */
+DataStream.prototype._readingType = false;
+
+/**
+  Array that the layout nodes of the fields read are added to, null when
+  not recording the layout. See DataStream.prototype._recordLayout.
+  @type {?Array}
+ */
+DataStream.prototype._layout = null;
+
+/**
+  Reads a field with reader and adds a layout node for it to the current
+  layout. The layout nodes of the fields read by reader are collected into
+  the children of the node.
+
+  @param {string|number} name Field name or array index.
+  @param {Object} type Type of the field.
+  @param {function} reader Function(ds, struct) that reads the field.
+  @param {Object} struct The struct read so far.
+  @return {?Object} The read value.
+ */
+DataStream.prototype._recordLayout = function(name, type, reader, struct) {
+  var layout = this._layout;
+  var node = {name: name, type: type, offset: this.position, length: 0, children: []};
+  this._layout = node.children;
+  var v;
+  try {
+    v = reader(this, struct);
+  } finally {
+    this._layout = layout;
+  }
+  node.length = this.position - node.offset;
+  if (v != null && (v !== DataStream.ABSENT || node.length > 0)) {
+    layout.push(node);
+  }
+  return v;
+};
+
+/**
+  Returns true if t is a ['ptr', offsetType, type, options] type.
+  A four-element definition is only a pointer if the last element is an
+  options object, to tell it apart from a struct with a field named 'ptr'.
+
+  @param {Object} t Type to check.
+  @return {boolean} True for pointer types.
+ */
+DataStream._isPointerType = function(t) {
+  if (!(t instanceof Array) || t[0] !== 'ptr') {
+    return false;
+  }
+  return t.length == 3 || (t.length == 4 && DataStream._isOptionsObject(t[3]));
+};
+
+/**
+  Returns true if o is an options object, i.e. an object that is neither
+  an array nor a {get, set} codec and so can't be the type of a struct field.
+
+  @param {Object} o Object to check.
+  @return {boolean} True if o is an options object.
+ */
+DataStream._isOptionsObject = function(o) {
+  return o != null && typeof o == 'object' && !(o instanceof Array) &&
+    typeof o.get != 'function';
+};
+
+/**
+  Resolves the position a pointer offset is relative to.
+
+  @param {Object} base The base option of the pointer type.
+  @param {Object} struct The struct read or written so far.
+  @param {number} fieldPosition Position of the offset field.
+  @return {number} The base position.
+ */
+DataStream.prototype._pointerBase = function(base, struct, fieldPosition) {
+  if (base == null || base == 'start') {
+    return -this._origin;
+  } else if (base == 'struct') {
+    return this._structStart;
+  } else if (base == 'field') {
+    return fieldPosition;
+  } else if (typeof base == 'function') {
+    return base(struct, this);
+  }
+  return base - this._origin;
+};
+
+/**
+  Reads a pointer type, following the offset and returning to the position
+  after it.
+
+  @param {Object} t The ['ptr', ...] type.
+  @param {Object} struct The struct read so far.
+  @return {?Object} The pointed-to value.
+ */
+DataStream.prototype._readPointer = function(t, struct) {
+  var opts = t[3] || {};
+  var fieldPosition = this.position;
+  var offset = this.readType(t[1], struct);
+  if (offset == null) {
+    return null;
+  }
+  if (opts.nullable && offset == 0) {
+    return DataStream.ABSENT;
+  }
+  return this._readAt(this._pointerBase(opts.base, struct, fieldPosition) + Number(offset), t[2], struct);
+};
+
+/**
+  Reads type t at position and returns to the current position. Used for
+  reading pointed-to data.
+
+  @param {number} position Position to read at.
+  @param {Object} t Type to read.
+  @param {Object} struct The struct read so far.
+  @return {?Object} The read value.
+ */
+DataStream.prototype._readAt = function(position, t, struct) {
+  var after = this.position;
+  this.position = position;
+  this.bitPosition = 0;
+  var v = this.readType(t, struct);
+  this.position = after;
+  this.bitPosition = 0;
+  return v;
+};
+
+/**
+  Writes a placeholder offset for a pointer type and queues the pointed-to
+  value to be written at the end of the outermost struct.
+
+  @param {Object} t The ['ptr', ...] type.
+  @param {Object} v The pointed-to value.
+  @param {Object} struct The struct being written.
+ */
+DataStream.prototype._writePointer = function(t, v, struct) {
+  var opts = t[3] || {};
+  var fieldPosition = this.position;
+  if (this.bitPosition > 0) {
+    this.alignToByte();
+    fieldPosition = this.position;
+  }
+  this.writeType(t[1], 0, struct);
+  if (opts.nullable && v == null) {
+    return;
+  }
+  var pointer = {
+    position: fieldPosition,
+    base: this._pointerBase(opts.base, struct, fieldPosition),
+    offsetType: t[1],
+    type: t[2],
+    value: v,
+    struct: struct
+  };
+  if (this._pendingPointers) {
+    this._pendingPointers.push(pointer);
+  } else {
+    this._pendingPointers = [pointer];
+    try {
+      this._flushPointers();
+    } finally {
+      this._pendingPointers = null;
+    }
+  }
+};
+
+/**
+  Writes the queued pointed-to values at the current position and fills in
+  their offsets. Values queued while flushing are written too.
+ */
+DataStream.prototype._flushPointers = function() {
+  var queue = this._pendingPointers;
+  for (var i=0; i<queue.length; i++) {
+    var p = queue[i];
+    this.alignToByte();
+    var target = this.position;
+    this.writeType(p.type, p.value, p.struct);
+    this.alignToByte();
+    var end = this.position;
+    this.position = p.position;
+    this.writeType(p.offsetType, target - p.base, p.struct);
+    this.position = end;
+  }
+};
+
+/**
+  Returns the number of bytes to skip to reach the next multiple of n bytes
+  from the start of the DataStream ('align') or the enclosing struct
+  ('alignstruct').
+
+  @param {string} t Either 'align' or 'alignstruct'.
+  @param {number} n Alignment in bytes.
+  @return {number} Number of padding bytes.
+ */
+DataStream.prototype._alignPadding = function(t, n) {
+  var base = t == 'alignstruct' ? this._structStart : -this._origin;
+  var rem = (this.position - base) % n;
+  return rem > 0 ? n - rem : 0;
+};
+
+/**
+  Decompresses zlib, gzip or raw DEFLATE data from the DataStream into a new
+  DataStream with the same endianness.
+
+  @param {?number} length Length of the compressed data. Defaults to the rest
+                          of the DataStream, in which case the position is
+                          moved to the end of the compressed data.
+  @param {?Object} options Optional settings: format, one of 'zlib' (the
+                           default), 'gzip' or 'raw'.
+  @return {Object} DataStream of the decompressed data.
+ */
+DataStream.prototype.readInflated = function(length, options) {
+  var start = this.position;
+  var end = length == null ? this.byteLength : start + length;
+  if (end > this.byteLength) {
+    throw new RangeError("DataStream.readInflated: Compressed data extends past the end");
+  }
+  var src = new Uint8Array(this._buffer, this._byteOffset + start, end - start);
+  var r = DataStream._inflate(src, options && options.format);
+  this.position = length == null ? start + r.end : end;
+  var ds = new DataStream(r.data.buffer, 0, this.endianness);
+  ds._types = this._types;
+  return ds;
+};
+
+/**
+  Compresses data into zlib, gzip or raw DEFLATE data and writes it to
+  the DataStream.
+
+  @param {Object} data Uint8Array, ArrayBuffer or DataStream to compress.
+  @param {?Object} options Optional settings: format, one of 'zlib' (the
+                           default), 'gzip' or 'raw', and level, the
+                           compression level from 0 to 9 (default 6).
+  @return {number} Length of the written compressed data.
+ */
+DataStream.prototype.writeDeflated = function(data, options) {
+  var u8 = data instanceof DataStream ? data._contents() :
+           data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+  var compressed = DataStream.deflate(u8, options);
+  this.writeUint8Array(compressed);
+  return compressed.length;
+};
+
+/**
+  Resolves the length of a type like the length of an array: a number,
+  the name of a previously read field or a callback function(struct,
+  dataStream, type){}.
+
+  @param {Object} len The length.
+  @param {Object} struct The struct read so far.
+  @param {Object} t The type the length is for.
+  @return {?number} The length, or null if len is '*'.
+ */
+DataStream.prototype._typeLength = function(len, struct, t) {
+  if (len == '*') {
+    return null;
+  } else if (typeof len == 'function') {
+    return len(struct, this, t);
+  } else if (typeof len == 'string' && struct[len] != null) {
+    return parseInt(struct[len]);
+  }
+  return parseInt(len);
+};
+
+/**
+  Writes a zeroed placeholder for a value of type t and returns a
+  DataStream.Reservation for filling it in later. Handy for length and
+  offset fields that precede the data they describe:
+
+  var size = ds.reserve('uint32be');
+  ds.writeString('data');
+  ds.writeUint8Array(body);
+  size.fillWithLengthSince();
+
+  The type needs to have a fixed size.
+
+  @param {Object} t Type of the value to reserve space for.
+  @return {Object} The DataStream.Reservation.
+ */
+DataStream.prototype.reserve = function(t) {
+  var size = DataStream._fixedSize(t);
+  if (size == null) {
+    throw("DataStream.reserve: Type " + JSON.stringify(t) + " doesn't have a fixed size");
+  }
+  if (this.bitPosition > 0) {
+    this.alignToByte();
+  }
+  var position = this.position;
+  this._writeZeros(size);
+  return new DataStream.Reservation(this, t, position, this.position);
+};
+
+/**
+  Space reserved in a DataStream with DataStream#reserve.
+
+  @param {Object} dataStream The DataStream.
+  @param {Object} type Type of the reserved value.
+  @param {number} position Position of the reserved space.
+  @param {number} end Position after the reserved space.
+ */
+DataStream.Reservation = function(dataStream, type, position, end) {
+  this.dataStream = dataStream;
+  this.type = type;
+  this.position = position;
+  this.end = end;
+};
+
+/**
+  Writes v into the reserved space. Doesn't move the DataStream position.
+
+  @param {Object} v The value to write.
+  @return {Object} The written value.
+ */
+DataStream.Reservation.prototype.fill = function(v) {
+  var ds = this.dataStream;
+  var p = ds.position;
+  var bp = ds.bitPosition;
+  ds.position = this.position;
+  ds.bitPosition = 0;
+  try {
+    ds.writeType(this.type, v, {});
+  } finally {
+    ds.position = p;
+    ds.bitPosition = bp;
+  }
+  return v;
+};
+
+/**
+  Fills the reserved space with the number of bytes between start and the
+  current DataStream position.
+
+  @param {?number} start Start position. Defaults to the end of the reserved space.
+  @return {number} The written length.
+ */
+DataStream.Reservation.prototype.fillWithLengthSince = function(start) {
+  return this.fill(this.dataStream.position - (start == null ? this.end : start));
+};
+
+/**
+  Returns true if t is a ['lengthOf', field, type] or
+  ['offsetOf', field, type, options] type. A four-element definition is only
+  an offsetOf if the last element is an options object, to tell it apart
+  from a struct with a field named 'offsetOf'.
+
+  @param {Object} t Type to check.
+  @return {boolean} True if t is a lengthOf or offsetOf type.
+ */
+DataStream._isFieldRefType = function(t) {
+  if (!(t instanceof Array) || (t[0] !== 'lengthOf' && t[0] !== 'offsetOf') ||
+      typeof t[1] != 'string') {
+    return false;
+  }
+  return t.length == 3 || (t.length == 4 && t[0] === 'offsetOf' &&
+    DataStream._isOptionsObject(t[3]));
+};
+
+/**
+  lengthOf and offsetOf fields of the innermost struct being written, as
+  {type, reservation, base} objects waiting for the struct to be written.
+  @type {?Array}
+ */
+DataStream.prototype._reservedFields = null;
+
+/**
+  Reserves space for a lengthOf or offsetOf field, to be filled in once the
+  enclosing struct has been written.
+
+  @param {Object} t The ['lengthOf', ...] or ['offsetOf', ...] type.
+  @param {Object} struct The struct being written.
+ */
+DataStream.prototype._writeFieldRef = function(t, struct) {
+  if (this._reservedFields == null) {
+    throw("DataStream.writeType: " + t[0] + " outside of a struct");
+  }
+  var reservation = this.reserve(t[2]);
+  this._reservedFields.push({
+    type: t,
+    reservation: reservation,
+    base: t[0] === 'offsetOf' ? this._pointerBase((t[3] || {}).base, struct, reservation.position) : 0
+  });
+};
+
+/**
+  Fills in the lengthOf and offsetOf fields of the struct that was just
+  written, using the recorded field positions.
+ */
+DataStream.prototype._fillReservedFields = function() {
+  var fields = this._reservedFields;
+  for (var i=0; i<fields.length; i++) {
+    var t = fields[i].type;
+    var range = this._fieldOffsets[t[1]];
+    if (range == null) {
+      throw("DataStream.writeStruct: No field " + t[1] + " for " + t[0]);
+    }
+    fields[i].reservation.fill(t[0] === 'lengthOf' ? range[1] - range[0] : range[0] - fields[i].base);
+  }
+};
+
+/**
+  Returns true if t is an ['enum', type, names, options] or
+  ['flags', type, masks, options] type. The names or masks must be an object
+  and the options an options object, to tell them apart from a struct with
+  a field named 'enum' or 'flags'.
+
+  @param {Object} t Type to check.
+  @return {boolean} True if t is an enum or flags type.
+ */
+DataStream._isEnumType = function(t) {
+  if (!(t instanceof Array) || (t[0] !== 'enum' && t[0] !== 'flags') ||
+      t[2] == null || typeof t[2] != 'object') {
+    return false;
+  }
+  return t.length == 3 || (t.length == 4 && DataStream._isOptionsObject(t[3]));
+};
+
+/**
+  Reads an enum type as the name of the read value, or a flags type as an
+  object with a boolean for every flag. Returns null if the value is unknown
+  and the rejectUnknown option is set.
+
+  @param {Object} t The ['enum', ...] or ['flags', ...] type.
+  @param {Object} struct The struct read so far.
+  @return {?Object} The read value.
+ */
+DataStream.prototype._readEnum = function(t, struct) {
+  var opts = t[3] || {};
+  var v = this.readType(t[1], struct);
+  if (v == null) {
+    return null;
+  }
+  var map = t[2], name;
+  if (t[0] === 'enum') {
+    name = map.hasOwnProperty(v) ? map[v] : null;
+    if (name == null && opts.rejectUnknown) {
+      return null;
+    }
+    return opts.withValue ? {value: v, name: name} : (name == null ? v : name);
+  }
+  var flags = {}, known = 0;
+  for (name in map) {
+    if (map.hasOwnProperty(name)) {
+      flags[name] = ((v & map[name]) >>> 0) == map[name];
+      known = (known | map[name]) >>> 0;
+    }
+  }
+  if (opts.rejectUnknown && ((v & ~known) >>> 0) != 0) {
+    return null;
+  }
+  return flags;
+};
+
+/**
+  Writes an enum type from a name, a number or a {value, name} object, or a
+  flags type from an object of booleans, an array of flag names or a number.
+  Throws on missing values and unknown names, and on unknown numbers if the
+  rejectUnknown option is set.
+
+  @param {Object} t The ['enum', ...] or ['flags', ...] type.
+  @param {Object} v The value to write.
+  @param {Object} struct The struct being written.
+ */
+DataStream.prototype._writeEnum = function(t, v, struct) {
+  var opts = t[3] || {};
+  var map = t[2], raw = 0, known = 0, name;
+  if (t[0] === 'enum') {
+    if (v != null && typeof v == 'object') {
+      v = v.value != null ? v.value : v.name;
+    }
+    if (typeof v == 'string') {
+      raw = null;
+      for (name in map) {
+        if (map.hasOwnProperty(name) && map[name] === v) {
+          raw = Number(name);
+          break;
+        }
+      }
+      if (raw == null) {
+        throw("DataStream.writeType: Unknown enum name " + v);
+      }
+    } else {
+      if (v == null) {
+        throw("DataStream.writeType: Missing enum value");
+      }
+      if (opts.rejectUnknown && !map.hasOwnProperty(v)) {
+        throw("DataStream.writeType: Unknown enum value " + v);
+      }
+      raw = v;
+    }
+    return this.writeType(t[1], raw, struct);
+  }
+  for (name in map) {
+    if (map.hasOwnProperty(name)) {
+      known = (known | map[name]) >>> 0;
+    }
+  }
+  if (typeof v == 'number') {
+    raw = v;
+  } else if (v == null || typeof v != 'object') {
+    throw("DataStream.writeType: Flags value must be a number, an array or an object, got " + v);
+  } else {
+    var names = v instanceof Array ? v : [];
+    if (!(v instanceof Array)) {
+      for (name in v) {
+        if (v.hasOwnProperty(name) && v[name]) {
+          names.push(name);
+        }
+      }
+    }
+    for (var i=0; i<names.length; i++) {
+      if (!map.hasOwnProperty(names[i])) {
+        throw("DataStream.writeType: Unknown flag " + names[i]);
+      }
+      raw = (raw | map[names[i]]) >>> 0;
+    }
+  }
+  if (opts.rejectUnknown && ((raw & ~known) >>> 0) != 0) {
+    throw("DataStream.writeType: Unknown flags 0x" + ((raw & ~known) >>> 0).toString(16));
+  }
+  return this.writeType(t[1], raw, struct);
+};
+
+/**
+  Returns true if t is a ['sub', length, type] type.
+
+  @param {Object} t Type to check.
+  @return {boolean} True if t is a sub type.
+ */
+DataStream._isSubType = function(t) {
+  return t instanceof Array && t.length == 3 && t[0] === 'sub';
+};
+
+/**
+  Reads a sub type from a substream of its length and moves the position
+  past the substream.
+
+  @param {Object} t The ['sub', ...] type.
+  @param {Object} struct The struct read so far.
+  @return {?Object} The read value.
+ */
+DataStream.prototype._readSub = function(t, struct) {
+  return this.sliceStream(this._typeLength(t[1], struct, t)).readType(t[2], {});
+};
+
+/**
+  Writes a sub type, padding it with zeroes to its length if the length is
+  known. Throws if the value doesn't fit in the length.
+
+  @param {Object} t The ['sub', ...] type.
+  @param {Object} v The value to write.
+  @param {Object} struct The struct written so far.
+ */
+DataStream.prototype._writeSub = function(t, v, struct) {
+  var start = this.position;
+  var length = struct && (typeof t[1] != 'string' || struct[t[1]] != null) ?
+               this._typeLength(t[1], struct, t) : null;
+  this.writeType(t[2], v, {});
+  if (length == null || isNaN(length)) {
+    return;
+  }
+  var written = this.position - start;
+  if (written > length) {
+    throw("DataStream.writeType: sub data is " + written + " bytes, longer than " + length);
+  }
+  this._writeZeros(length - written);
+};
+
+/**
+  Returns true if t is a ['deflated', format, length, type] type.
+
+  @param {Object} t Type to check.
+  @return {boolean} True if t is a deflated type.
+ */
+DataStream._isDeflatedType = function(t) {
+  return t instanceof Array && t.length == 4 && t[0] === 'deflated' &&
+    (t[1] === 'zlib' || t[1] === 'gzip' || t[1] === 'raw');
+};
+
+/**
+  Reads a deflated type by decompressing its data and reading the type from
+  the decompressed data.
+
+  @param {Object} t The ['deflated', ...] type.
+  @param {Object} struct The struct read so far.
+  @return {?Object} The read value.
+ */
+DataStream.prototype._readDeflated = function(t, struct) {
+  var ds = this.readInflated(this._typeLength(t[2], struct, t), {format: t[1]});
+  ds.throwOnParseError = this.throwOnParseError;
+  return ds.readType(t[3], {});
+};
+
+/**
+  Writes a deflated type by writing the value to a new DataStream and
+  writing its compressed contents.
+
+  @param {Object} t The ['deflated', ...] type.
+  @param {Object} v The value to write.
+ */
+DataStream.prototype._writeDeflated = function(t, v) {
+  var ds = new DataStream();
+  ds.endianness = this.endianness;
+  ds._types = this._types;
+  ds.writeType(t[3], v, {});
+  this.writeDeflated(ds, {format: t[1]});
+};
+
+/**
+  Returns true if t is a ['checksum', algorithm, type, options] type.
+  A four-element definition is only a checksum if the last element is an
+  options object, to tell it apart from a struct with a field named
+  'checksum'.
+
+  @param {Object} t Type to check.
+  @return {boolean} True if t is a checksum type.
+ */
+DataStream._isChecksumType = function(t) {
+  if (!(t instanceof Array) || t[0] !== 'checksum' || typeof t[1] != 'string' ||
+      !DataStream.checksums.hasOwnProperty(t[1])) {
+    return false;
+  }
+  return t.length == 3 || (t.length == 4 && DataStream._isOptionsObject(t[3]));
+};
+
+/**
+  Returns true if t is a checksum, lengthOf or offsetOf type or a conditional
+  type that may select one, for which the enclosing struct records its field
+  positions.
+
+  @param {Object} t Type to check.
+  @return {boolean} True if reading or writing t may need the field positions.
+ */
+DataStream._needsFieldOffsets = function(t) {
+  if (DataStream._isChecksumType(t) || DataStream._isFieldRefType(t)) {
+    return true;
+  } else if (!DataStream._isConditionalType(t)) {
+    return false;
+  } else if (t[0] === 'if') {
+    return DataStream._needsFieldOffsets(t[2]);
+  }
+  for (var i in t[2]) {
+    if (t[2].hasOwnProperty(i) && DataStream._needsFieldOffsets(t[2][i])) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+  Start and end positions of the fields of the innermost struct being read
+  or written, keyed by field name. Only recorded for structs with checksum,
+  lengthOf or offsetOf fields, null otherwise.
+  @type {?Object}
+ */
+DataStream.prototype._fieldOffsets = null;
+
+/**
+  Checksum mismatches found by reads of checksum types with verify set to
+  'report', as {algorithm, stored, computed, start, end} objects.
+  @type {?Array}
+ */
+DataStream.prototype.checksumMismatches = null;
+
+/**
+  Computes a checksum of a range of the DataStream.
+
+  @param {string} algorithm Name of the algorithm in DataStream.checksums.
+  @param {?number} start Start of the range. Defaults to 0.
+  @param {?number} length Length of the range. Defaults to the rest of the DataStream.
+  @return {number} The checksum.
+ */
+DataStream.prototype.checksum = function(algorithm, start, length) {
+  var c = DataStream.checksums[algorithm];
+  if (!c) {
+    throw("DataStream.checksum: Unknown algorithm " + algorithm);
+  }
+  start = start || 0;
+  var end = length == null ? this.byteLength : start + length;
+  return c.compute(this._checksumBytes(start, end));
+};
+
+/**
+  Returns the bytes from start to end. While measuring, returns zeroes.
+
+  @param {number} start Start position.
+  @param {number} end End position.
+  @return {Object} Uint8Array of the bytes.
+ */
+DataStream.prototype._checksumBytes = function(start, end) {
+  if (!(this._dataView instanceof DataView)) {
+    return new Uint8Array(end - start);
+  }
+  return new Uint8Array(this._dataView.buffer, this._dataView.byteOffset + start, end - start);
+};
+
+/**
+  Resolves the positions covered by a checksum type.
+
+  @param {Object} t The ['checksum', ...] type.
+  @param {Object} struct The struct read or written so far.
+  @param {number} fieldPosition Position of the checksum field.
+  @return {Array} The [start, end] positions.
+ */
+DataStream.prototype._checksumRange = function(t, struct, fieldPosition) {
+  var opts = t[3] || {};
+  if (opts.range) {
+    return opts.range(struct, this);
+  }
+  var offsets = this._fieldOffsets || {};
+  var field = function(name) {
+    if (!offsets.hasOwnProperty(name)) {
+      throw("DataStream: Checksum range field " + name + " not found");
+    }
+    return offsets[name];
+  };
+  return [opts.from == null ? this._structStart : field(opts.from)[0],
+          opts.to == null ? fieldPosition : field(opts.to)[1]];
+};
+
+/**
+  Reads a checksum type and verifies it against the data it covers.
+
+  @param {Object} t The ['checksum', ...] type.
+  @param {Object} struct The struct read so far.
+  @return {?number} The stored checksum, null if it doesn't match.
+ */
+DataStream.prototype._readChecksum = function(t, struct) {
+  var opts = t[3] || {};
+  var c = DataStream.checksums[t[1]];
+  var range = this._checksumRange(t, struct, this.position);
+  var stored = this.readType(t[2] || c.type, struct);
+  if (opts.verify === false || stored == null) {
+    return stored;
+  }
+  var computed = c.compute(this._checksumBytes(range[0], range[1]));
+  if (computed == stored) {
+    return stored;
+  }
+  if (opts.verify == 'report') {
+    if (!this.checksumMismatches) {
+      this.checksumMismatches = [];
+    }
+    this.checksumMismatches.push({algorithm: t[1], stored: stored, computed: computed,
+                                  start: range[0], end: range[1]});
+    return stored;
+  }
+  if (this.throwOnParseError) {
+    throw("DataStream: " + t[1] + " mismatch, stored 0x" + stored.toString(16) +
+          ", computed 0x" + computed.toString(16));
+  }
+  return null;
+};
+
+/**
+  Writes the checksum of the data covered by a checksum type.
+
+  @param {Object} t The ['checksum', ...] type.
+  @param {Object} struct The struct written so far.
+ */
+DataStream.prototype._writeChecksum = function(t, struct) {
+  var c = DataStream.checksums[t[1]];
+  var range = this._checksumRange(t, struct, this.position);
+  this.writeType(t[2] || c.type, c.compute(this._checksumBytes(range[0], range[1])), struct);
+};
+
+/**
+  Writes n zero bytes to the DataStream.
+
+  @param {number} n Number of bytes to write.
+ */
+DataStream.prototype._writeZeros = function(n) {
+  this._realloc(n);
+  for (var i=0; i<n; i++) {
+    this.writeUint8(0);
+  }
+};
+
+/**
+  Reads an object of type t from the DataStream, passing struct as the thus-far
+  read struct to possible callbacks that refer to it. Used by readStruct for
+  reading in the values, so the type is one of the readStruct types.
+
+  If throwOnParseError is set, a failed read throws a DataStream.ParseError
+  instead of returning null, and errors thrown by the read are wrapped in a
+  DataStream.ParseError, as in readStruct.
+
+  @param {Object} t Type of the object to read.
+  @param {?Object} struct Struct to refer to when resolving length references
+                          and for calling callbacks.
+  @return {?Object} Returns the object on successful read, null on unsuccessful.
+                    DataStream.ABSENT if the type is a conditional type that
+                    is not present in the data.
+ */
+DataStream.prototype.readType = function(t, struct) {
+  if (!this.throwOnParseError || this._readingType) {
+    return this._readType(t, struct);
+  }
+  var v;
+  this._readingType = true;
+  try {
+    v = this._readType(t, struct);
+  } catch(e) {
+    throw e instanceof DataStream.ParseError ? e :
+      new DataStream.ParseError('', t, this.position, this.byteLength - this.position, struct || null, e);
+  } finally {
+    this._readingType = false;
+  }
+  if (v == null) {
+    throw new DataStream.ParseError('', t, this.position, this.byteLength - this.position, struct || null, null);
+  }
+  return v;
+};
+
+/**
+  Reads an object of type t without wrapping the errors. See readType.
+
+  @param {Object} t Type of the object to read.
+  @param {?Object} struct Struct to refer to when resolving length references
+                          and for calling callbacks.
+  @return {?Object} The read object, null on unsuccessful read.
+ */
+DataStream.prototype._readType = function(t, struct) {
+  if (typeof t == "function") {
+    return t(this, struct);
+  } else if (typeof t == "object" && !(t instanceof Array)) {
+    return t.get(this, struct);
+  } else if (DataStream._isConditionalType(t)) {
+    var ct = this._selectType(t, struct);
+    return (ct == null || ct === DataStream.ABSENT) ? ct : this.readType(ct, struct);
+  } else if (DataStream._isPointerType(t)) {
+    return this._readPointer(t, struct);
+  } else if (DataStream._isChecksumType(t)) {
+    return this._readChecksum(t, struct);
+  } else if (DataStream._isDeflatedType(t)) {
+    return this._readDeflated(t, struct);
+  } else if (DataStream._isSubType(t)) {
+    return this._readSub(t, struct);
+  } else if (DataStream._isFieldRefType(t)) {
+    return this.readType(t[2], struct);
+  } else if (DataStream._isEnumType(t)) {
+    return this._readEnum(t, struct);
+  } else if (t instanceof Array && t.length != 3) {
+    return this.readStruct(t);
+  }
+  var v = null;
+  var lengthOverride = null;
+  var charset = "ASCII";
+  var pos = this.position;
+  var len;
+  if (typeof t == 'string' && /:/.test(t)) {
+    var tp = t.split(":");
+    t = tp[0];
+    len = tp[1];
+
+    // allow length to be previously parsed variable
+    // e.g. 'string:fieldLength', if `fieldLength` has
+    // been parsed previously.
+    if (struct[len] != null) {
+      lengthOverride = parseInt(struct[len]);
+    } else {
+      // assume literal integer e.g., 'string:4'
+      lengthOverride = parseInt(tp[1]);
+    }
+  }
+  if (typeof t == 'string' && /,/.test(t)) {
+    var tp = t.split(",");
+    t = tp[0];
+    charset = tp[1];
+  }
+  var registered = typeof t == 'string' ? this.lookupType(t) : null;
+  if (this.bitPosition > 0 && registered == null && !DataStream._isBitsType(t)) {
+    this.alignToByte();
+    pos = this.position;
+  }
+  switch(t) {
+
+    case 'bits':
+      v = this.readBits(lengthOverride);
+      lengthOverride = null; break;
+    case 'bitsbe':
+      v = this.readBits(lengthOverride, DataStream.MSB_FIRST);
+      lengthOverride = null; break;
+    case 'bitsle':
+      v = this.readBits(lengthOverride, DataStream.LSB_FIRST);
+      lengthOverride = null; break;
+
+    case 'align':
+    case 'alignstruct':
+      this.position += this._alignPadding(t, lengthOverride);
+      v = DataStream.ABSENT;
+      lengthOverride = null; break;
+    case 'pad':
+    case 'skip':
+      v = DataStream.ABSENT; break;
+
+    case 'uint8':
+      v = this.readUint8(); break;
+    case 'int8':
+      v = this.readInt8(); break;
+
+    case 'uint16':
+      v = this.readUint16(this.endianness); break;
+    case 'int16':
+      v = this.readInt16(this.endianness); break;
+    case 'uint32':
+      v = this.readUint32(this.endianness); break;
+    case 'int32':
+      v = this.readInt32(this.endianness); break;
+    case 'uint64':
+      v = this.readUint64(this.endianness); break;
+    case 'int64':
+      v = this.readInt64(this.endianness); break;
+    case 'float16':
+      v = this.readFloat16(this.endianness); break;
+    case 'float32':
+      v = this.readFloat32(this.endianness); break;
+    case 'float64':
+      v = this.readFloat64(this.endianness); break;
+
+    case 'uint16be':
+      v = this.readUint16(DataStream.BIG_ENDIAN); break;
+    case 'int16be':
+      v = this.readInt16(DataStream.BIG_ENDIAN); break;
+    case 'uint32be':
+      v = this.readUint32(DataStream.BIG_ENDIAN); break;
+    case 'int32be':
+      v = this.readInt32(DataStream.BIG_ENDIAN); break;
+    case 'uint64be':
+      v = this.readUint64(DataStream.BIG_ENDIAN); break;
+    case 'int64be':
+      v = this.readInt64(DataStream.BIG_ENDIAN); break;
+    case 'float16be':
+      v = this.readFloat16(DataStream.BIG_ENDIAN); break;
+    case 'float32be':
+      v = this.readFloat32(DataStream.BIG_ENDIAN); break;
+    case 'float64be':
+      v = this.readFloat64(DataStream.BIG_ENDIAN); break;
+
+    case 'uint16le':
+      v = this.readUint16(DataStream.LITTLE_ENDIAN); break;
+    case 'int16le':
+      v = this.readInt16(DataStream.LITTLE_ENDIAN); break;
+    case 'uint32le':
+      v = this.readUint32(DataStream.LITTLE_ENDIAN); break;
+    case 'int32le':
+      v = this.readInt32(DataStream.LITTLE_ENDIAN); break;
+    case 'uint64le':
+      v = this.readUint64(DataStream.LITTLE_ENDIAN); break;
+    case 'int64le':
+      v = this.readInt64(DataStream.LITTLE_ENDIAN); break;
+    case 'float16le':
+      v = this.readFloat16(DataStream.LITTLE_ENDIAN); break;
+    case 'float32le':
+      v = this.readFloat32(DataStream.LITTLE_ENDIAN); break;
+    case 'float64le':
+      v = this.readFloat64(DataStream.LITTLE_ENDIAN); break;
+
+    case 'uleb128':
+      v = this.readULEB128(); break;
+    case 'sleb128':
+      v = this.readSLEB128(); break;
+    case 'varint':
+      v = this.readVarint(); break;
+    case 'zigzag':
+      v = this.readZigZag(); break;
+    case 'vlq':
+      v = this.readVLQ(); break;
+
+    case 'rational':
+    case 'srational':
+      v = this.readRational(t == 'srational', this.endianness); break;
+    case 'rationalbe':
+    case 'srationalbe':
+      v = this.readRational(t == 'srationalbe', DataStream.BIG_ENDIAN); break;
+    case 'rationalle':
+    case 'srationalle':
+      v = this.readRational(t == 'srationalle', DataStream.LITTLE_ENDIAN); break;
+
+    case 'cstring':
+      v = this.readCString(lengthOverride); break;
+
+    case 'string':
+      v = this.readString(lengthOverride, charset); break;
+
+    case 'u16string':
+      v = this.readUCS2String(lengthOverride, this.endianness); break;
+
+    case 'u16stringle':
+      v = this.readUCS2String(lengthOverride, DataStream.LITTLE_ENDIAN); break;
+
+    case 'u16stringbe':
+      v = this.readUCS2String(lengthOverride, DataStream.BIG_ENDIAN); break;
+
+    default:
+      var fixed = registered == null && DataStream._fixedPointFormat(t);
+      if (registered != null) {
+        v = this.readType(registered, struct);
+      } else if (fixed) {
+        v = this.readFixed(fixed[0], fixed[1], fixed[2], fixed[3]);
+      } else if (t.length == 3) {
+        var ta = t[1];
+        var len = t[2];
+        var length = 0;
+        if (typeof len == 'function') {
+          length = len(struct, this, t);
+        } else if (typeof len == 'string' && struct[len] != null) {
+          length = parseInt(struct[len]);
+        } else {
+          length = parseInt(len);
+        }
+        if (typeof ta == "string" && this.lookupType(ta) == null) {
+          var tap = ta.replace(/(le|be)$/, '');
+          var endianness = null;
+          if (/le$/.test(ta)) {
+            endianness = DataStream.LITTLE_ENDIAN;
+          } else if (/be$/.test(ta)) {
+            endianness = DataStream.BIG_ENDIAN;
+          }
+          if (len == '*') {
+            var esize = DataStream._fixedSize(tap);
+            length = esize == null ? null : Math.floor((this.byteLength - this.position) / esize);
+          }
+          switch(tap) {
+            case 'uint8':
+              v = this.readUint8Array(length); break;
+            case 'uint16':
+              v = this.readUint16Array(length, endianness); break;
+            case 'uint32':
+              v = this.readUint32Array(length, endianness); break;
+            case 'int8':
+              v = this.readInt8Array(length); break;
+            case 'int16':
+              v = this.readInt16Array(length, endianness); break;
+            case 'int32':
+              v = this.readInt32Array(length, endianness); break;
+            case 'uint64':
+              v = this.readBigUint64Array(length, endianness); break;
+            case 'int64':
+              v = this.readBigInt64Array(length, endianness); break;
+            case 'float16':
+              v = this.readFloat16Array(length, endianness); break;
+            case 'float32':
+              v = this.readFloat32Array(length, endianness); break;
+            case 'float64':
+              v = this.readFloat64Array(length, endianness); break;
+            case 'cstring':
+            case 'utf16string':
+            case 'string':
+            case 'uleb128':
+            case 'sleb128':
+            case 'varint':
+            case 'zigzag':
+            case 'vlq':
+              v = this._readElements(ta, length, struct); break;
+            default:
+              if (DataStream._fixedPointFormat(tap) || DataStream._isRationalType(tap)) {
+                v = this._readElements(ta, length, struct);
+              }
+              break;
+          }
+        } else {
+          var readElement = this._layout && function(ds, s) { return ds.readType(ta, s); };
+          var eof = this.eof;
+          if (len == '*') {
+            v = [];
+            this.buffer;
+            while (!((this.strict || this.lenient) && this.isEof())) {
+              var p = this.position;
+              try {
+                var o = readElement ? this._recordLayout(v.length, ta, readElement, struct) :
+                                      this.readType(ta, struct);
+                if (o == null) {
+                  this.position = p;
+                  break;
+                }
+                v.push(o);
+              } catch(e) {
+                if (this.strict) {
+                  throw e;
+                }
+                this.eof = this.eof || (this.lenient && e instanceof DataStream.EOFError);
+                this.position = p;
+                break;
+              }
+              if (this.eof && !eof && this.lenient) {
+                break;
+              }
+            }
+          } else {
+            v = new Array(length);
+            for (var i=0; i<length; i++) {
+              if (this.lenient && this.isEof()) {
+                this.eof = true;
+                v.length = i;
+                break;
+              }
+              try {
+                var u = readElement ? this._recordLayout(i, ta, readElement, struct) :
+                                      this.readType(ta, struct);
+              } catch(e) {
+                if (this.lenient && e instanceof DataStream.EOFError) {
+                  this.eof = true;
+                  v.length = i;
+                  break;
+                }
+                throw this.throwOnParseError ? this._parseError(e, i, ta, v) : e;
+              }
+              if (u == null) {
+                if (this.throwOnParseError) {
+                  throw this._parseError(null, i, ta, v);
+                }
+                return null;
+              }
+              v[i] = u;
+              if (this.eof && !eof && this.lenient) {
+                v.length = i + 1;
+                break;
+              }
+            }
+          }
+        }
+        break;
+      }
+  }
+  if (lengthOverride != null) {
+    this.position = pos + lengthOverride;
+    if (this.lenient && this.position > this.byteLength) {
+      this.position = this.byteLength;
+    }
+  }
+  return v;
+};
+
+/**
+  Typed array method name suffixes of the numeric array element types.
+  @type {Object}
+ */
+DataStream._arrayTypes = {
+  'uint8': 'Uint8', 'int8': 'Int8', 'uint16': 'Uint16', 'int16': 'Int16',
+  'uint32': 'Uint32', 'int32': 'Int32', 'uint64': 'BigUint64', 'int64': 'BigInt64',
+  'float16': 'Float16', 'float32': 'Float32', 'float64': 'Float64'
+};
+
+/**
+  Writes an ['[]', type, length] array. Arrays with a length are truncated
+  to it, or padded with zeroes if the element type has a fixed size. Numeric
+  arrays are written with the typed array write methods.
+
+  @param {Object} t The array type.
+  @param {Object} v The array to write.
+  @param {?Object} struct The struct being written.
+ */
+DataStream.prototype._writeArray = function(t, v, struct) {
+  var ta = t[1];
+  var length = this._typeLength(t[2], struct || {}, t);
+  if (length != null && isNaN(length)) {
+    length = null;
+  }
+  var n = length == null ? v.length : Math.min(length, v.length);
+  var name = typeof ta == 'string' && this.lookupType(ta) == null &&
+             DataStream._arrayTypes[ta.replace(/(le|be)$/, '')];
+  if (name) {
+    var e = /le$/.test(ta) ? DataStream.LITTLE_ENDIAN :
+            /be$/.test(ta) ? DataStream.BIG_ENDIAN : null;
+    if (n < v.length) {
+      v = v.subarray ? v.subarray(0, n) : v.slice(0, n);
+    }
+    this['write' + name + 'Array'](v, e);
+  } else {
+    for (var i=0; i<n; i++) {
+      this.writeType(ta, v[i], struct);
+    }
+  }
+  if (length != null && length > n) {
+    var size = DataStream._fixedSize(ta);
+    if (size == null) {
+      throw("DataStream.writeType: Array of " + v.length + " elements is shorter than its length " + length);
+    }
+    this._writeZeros((length - n) * size);
+  }
+};
+
+/**
+  Returns the name of the field that gives the length of a string or array
+  type, or null if the length isn't a field reference.
+
+  @param {Object} t The type.
+  @return {?string} The name of the length field.
+ */
+DataStream._lengthRef = function(t) {
+  var len = null;
+  if (typeof t == 'string' && /^(cstring|string|u16string(le|be)?)(,[^:]*)?:/.test(t)) {
+    len = t.split(":")[1];
+  } else if (t instanceof Array && t.length == 3 && t[0] === '[]' && typeof t[2] == 'string') {
+    len = t[2];
+  }
+  return len == null || len == '*' || /^\d+$/.test(len) ? null : len;
+};
+
+/**
+  Returns the length of the value v of a string or array type, in the units
+  of the length of the type.
+
+  @param {Object} t The type.
+  @param {Object} v The value.
+  @return {number} The length.
+ */
+DataStream._valueLength = function(t, v) {
+  if (typeof t != 'string') {
+    return v.length;
+  }
+  var tp = t.split(":")[0].split(",");
+  if (tp[0] == 'cstring') {
+    return v.length + 1;
+  } else if (tp[0] == 'string' && tp[1] != null && tp[1] != "ASCII") {
+    return (new TextEncoder(tp[1])).encode(v).length;
+  }
+  return v.length;
+};
+
+/**
+  Fills in the missing length fields of a struct being written from the
+  lengths of the strings and arrays that refer to them. Returns the struct
+  itself if no fields are missing, or an object inheriting from it with the
+  lengths set.
+
+  @param {Object} struct The struct being written.
+  @param {Array} refs The [field name, length field name, type] triplets.
+  @return {Object} The struct with the length fields filled in.
+ */
+DataStream._withLengthRefs = function(struct, refs) {
+  var values = struct;
+  for (var i=0; i<refs.length; i++) {
+    var r = refs[i];
+    if (struct[r[1]] == null && struct[r[0]] != null) {
+      if (values === struct) {
+        values = Object.create(struct);
+      }
+      values[r[1]] = DataStream._valueLength(r[2], struct[r[0]]);
+    }
+  }
+  return values;
+};
+
+/**
+  Reads an array of length elements of the named type ta one by one. Reads
+  elements until the end of the DataStream or the first failed read if length
+  is null.
+
+  @param {string} ta The element type.
+  @param {?number} length Number of elements to read.
+  @param {Object} struct The struct read so far.
+  @return {Array} The read elements.
+ */
+DataStream.prototype._readElements = function(ta, length, struct) {
+  var readElement = this._layout && function(ds, s) { return ds.readType(ta, s); };
+  var eof = this.eof;
+  var v;
+  if (length == null) {
+    v = [];
+    while (!this.isEof()) {
+      var u = readElement ? this._recordLayout(v.length, ta, readElement, struct) :
+                            this.readType(ta, struct);
+      if (u == null) break;
+      v.push(u);
+    }
+    return v;
+  }
+  v = new Array(length);
+  for (var i=0; i<length; i++) {
+    if (this.lenient && this.isEof()) {
+      this.eof = true;
+    }
+    if (this.eof && !eof && this.lenient) {
+      v.length = i;
+      break;
+    }
+    try {
+      v[i] = readElement ? this._recordLayout(i, ta, readElement, struct) :
+                           this.readType(ta, struct);
+    } catch(e) {
+      if (this.lenient && e instanceof DataStream.EOFError) {
+        this.eof = true;
+        v.length = i;
+        break;
+      }
+      throw e;
+    }
+  }
+  return v;
+};
+
+/**
+  Writes a struct to the DataStream. Takes a structDefinition that gives the
+  types and a struct object that gives the values. Refer to readStruct for the
+  structure of structDefinition.
+
+  Strings and arrays are written to the length given by their type, truncating
+  or zero-padding them as needed. If the length refers to a field that's
+  missing from the struct, the field is written as the length of the string
+  or array. The struct object itself is not modified.
+
+  @param {Object} structDefinition Type definition of the struct.
+  @param {Object} struct The struct data object.
+  */
+DataStream.prototype.writeStruct = function(structDefinition, struct) {
+  DataStream.compileStruct(structDefinition).write(this, struct);
+};
+
+/**
+  Writes object v of type t to the DataStream.
+
+  @param {Object} t Type of data to write.
+  @param {Object} v Value of data to write.
+  @param {Object} struct Struct to pass to write callback functions.
+  */
+DataStream.prototype.writeType = function(t, v, struct) {
+  if (typeof t == "function") {
+    return t(this, v);
+  } else if (typeof t == "object" && !(t instanceof Array)) {
+    return t.set(this, v, struct);
+  } else if (DataStream._isConditionalType(t)) {
+    var ct = this._selectType(t, struct);
+    if (ct == null) {
+      throw("DataStream.writeType: No switch case for " + t[1]);
+    }
+    if (ct !== DataStream.ABSENT) {
+      this.writeType(ct, v, struct);
+    }
+    return;
+  } else if (DataStream._isPointerType(t)) {
+    return this._writePointer(t, v, struct);
+  } else if (DataStream._isChecksumType(t)) {
+    return this._writeChecksum(t, struct);
+  } else if (DataStream._isDeflatedType(t)) {
+    return this._writeDeflated(t, v);
+  } else if (DataStream._isSubType(t)) {
+    return this._writeSub(t, v, struct);
+  } else if (DataStream._isFieldRefType(t)) {
+    return this._writeFieldRef(t, struct);
+  } else if (DataStream._isEnumType(t)) {
+    return this._writeEnum(t, v, struct);
+  }
+  var lengthOverride = null;
+  var charset = "ASCII";
+  var pos = this.position;
+  var len;
+  if (typeof(t) == 'string' && /:/.test(t)) {
+    var tp = t.split(":");
+    t = tp[0];
+    len = tp[1];
+    lengthOverride = struct != null && struct[len] != null ? parseInt(struct[len]) : parseInt(len);
+    if (isNaN(lengthOverride)) {
+      lengthOverride = null;
+    }
+  }
+  if (typeof t == 'string' && /,/.test(t)) {
+    var tp = t.split(",");
+    t = tp[0];
+    charset = tp[1];
+  }
+  var registered = typeof t == 'string' ? this.lookupType(t) : null;
+  if (this.bitPosition > 0 && registered == null && !DataStream._isBitsType(t)) {
+    this.alignToByte();
+    pos = this.position;
+  }
+
+  switch(t) {
+    case 'bits':
+      this.writeBits(v, lengthOverride);
+      lengthOverride = null;
+      break;
+    case 'bitsbe':
+      this.writeBits(v, lengthOverride, DataStream.MSB_FIRST);
+      lengthOverride = null;
+      break;
+    case 'bitsle':
+      this.writeBits(v, lengthOverride, DataStream.LSB_FIRST);
+      lengthOverride = null;
+      break;
+
+    case 'align':
+    case 'alignstruct':
+      this._writeZeros(this._alignPadding(t, lengthOverride));
+      lengthOverride = null;
+      break;
+    case 'pad':
+    case 'skip':
+      this._writeZeros(struct != null && struct[len] != null ? parseInt(struct[len]) : lengthOverride);
+      lengthOverride = null;
+      break;
+
+    case 'uint8':
+      this.writeUint8(v);
+      break;
+    case 'int8':
+      this.writeInt8(v);
+      break;
+
+    case 'uint16':
+      this.writeUint16(v, this.endianness);
+      break;
+    case 'int16':
+      this.writeInt16(v, this.endianness);
+      break;
+    case 'uint32':
+      this.writeUint32(v, this.endianness);
+      break;
+    case 'int32':
+      this.writeInt32(v, this.endianness);
+      break;
+    case 'uint64':
+      this.writeUint64(v, this.endianness);
+      break;
+    case 'int64':
+      this.writeInt64(v, this.endianness);
+      break;
+    case 'float16':
+      this.writeFloat16(v, this.endianness);
+      break;
+    case 'float32':
+      this.writeFloat32(v, this.endianness);
+      break;
+    case 'float64':
+      this.writeFloat64(v, this.endianness);
+      break;
+
+    case 'uint16be':
+      this.writeUint16(v, DataStream.BIG_ENDIAN);
+      break;
+    case 'int16be':
+      this.writeInt16(v, DataStream.BIG_ENDIAN);
+      break;
+    case 'uint32be':
+      this.writeUint32(v, DataStream.BIG_ENDIAN);
+      break;
+    case 'int32be':
+      this.writeInt32(v, DataStream.BIG_ENDIAN);
+      break;
+    case 'uint64be':
+      this.writeUint64(v, DataStream.BIG_ENDIAN);
+      break;
+    case 'int64be':
+      this.writeInt64(v, DataStream.BIG_ENDIAN);
+      break;
+    case 'float16be':
+      this.writeFloat16(v, DataStream.BIG_ENDIAN);
+      break;
+    case 'float32be':
+      this.writeFloat32(v, DataStream.BIG_ENDIAN);
+      break;
+    case 'float64be':
+      this.writeFloat64(v, DataStream.BIG_ENDIAN);
+      break;
+
+    case 'uint16le':
+      this.writeUint16(v, DataStream.LITTLE_ENDIAN);
+      break;
+    case 'int16le':
+      this.writeInt16(v, DataStream.LITTLE_ENDIAN);
+      break;
+    case 'uint32le':
+      this.writeUint32(v, DataStream.LITTLE_ENDIAN);
+      break;
+    case 'int32le':
+      this.writeInt32(v, DataStream.LITTLE_ENDIAN);
+      break;
+    case 'uint64le':
+      this.writeUint64(v, DataStream.LITTLE_ENDIAN);
+      break;
+    case 'int64le':
+      this.writeInt64(v, DataStream.LITTLE_ENDIAN);
+      break;
+    case 'float16le':
+      this.writeFloat16(v, DataStream.LITTLE_ENDIAN);
+      break;
+    case 'float32le':
+      this.writeFloat32(v, DataStream.LITTLE_ENDIAN);
+      break;
+    case 'float64le':
+      this.writeFloat64(v, DataStream.LITTLE_ENDIAN);
+      break;
+
+    case 'uleb128':
+      this.writeULEB128(v);
+      break;
+    case 'sleb128':
+      this.writeSLEB128(v);
+      break;
+    case 'varint':
+      this.writeVarint(v);
+      break;
+    case 'zigzag':
+      this.writeZigZag(v);
+      break;
+    case 'vlq':
+      this.writeVLQ(v);
+      break;
+
+    case 'rational':
+    case 'srational':
+      this.writeRational(v, t == 'srational', this.endianness);
+      break;
+    case 'rationalbe':
+    case 'srationalbe':
+      this.writeRational(v, t == 'srationalbe', DataStream.BIG_ENDIAN);
+      break;
+    case 'rationalle':
+    case 'srationalle':
+      this.writeRational(v, t == 'srationalle', DataStream.LITTLE_ENDIAN);
+      break;
+
+    case 'cstring':
+      this.writeCString(v, lengthOverride);
+      break;
+
+    case 'string':
+      this.writeString(v, charset, lengthOverride);
+      break;
+
+    case 'u16string':
+      this.writeUCS2String(v, this.endianness, lengthOverride);
+      break;
+
+    case 'u16stringle':
+      this.writeUCS2String(v, DataStream.LITTLE_ENDIAN, lengthOverride);
+      break;
+
+    case 'u16stringbe':
+      this.writeUCS2String(v, DataStream.BIG_ENDIAN, lengthOverride);
+      break;
+
+    default:
+      var fixed = registered == null && DataStream._fixedPointFormat(t);
+      if (registered != null) {
+        this.writeType(registered, v, struct);
+        break;
+      } else if (fixed) {
+        this.writeFixed(v, fixed[0], fixed[1], fixed[2], fixed[3]);
+        break;
+      } else if (t.length == 3) {
+        this._writeArray(t, v, struct);
+        break;
+      } else {
+        this.writeStruct(t, v);
+        break;
+      }
+  }
+  if (lengthOverride != null) {
+    this.position = pos;
+    this._realloc(lengthOverride);
+    this.position = pos + lengthOverride;
+  }
+};
+
+/**
+  Returns the number of bytes a struct definition occupies in the DataStream,
+  or null if the size depends on the data, e.g. when the definition contains
+  variable-length strings or arrays, varints, conditional fields, callbacks or
+  'align' fields. Pointer fields count the size of the offset only.
+  Named types are looked up from the global registry.
+
+  @param {Object} structDefinition Struct definition object.
+  @return {?number} The size of the struct in bytes, null if not fixed.
+ */
+DataStream.sizeOf = function(structDefinition) {
+  return DataStream._fixedSize(structDefinition);
+};
+
+/**
+  Byte sizes of the scalar types in DataStream._scalarTypes, keyed by method
+  name suffix. Variable-length integers are missing.
+  @type {Object}
+ */
+DataStream._scalarSizes = {
+  'Uint8': 1, 'Int8': 1, 'Uint16': 2, 'Int16': 2, 'Uint32': 4, 'Int32': 4,
+  'Uint64': 8, 'Int64': 8, 'Float16': 2, 'Float32': 4, 'Float64': 8
+};
+
+/**
+  Computes the fixed size of a type for DataStream.sizeOf.
+
+  @param {Object} t Type to measure.
+  @return {?number} The size of the type in bytes, null if not fixed.
+ */
+DataStream._fixedSize = function(t) {
+  if (typeof t == 'function' || DataStream._isConditionalType(t) ||
+      DataStream._isDeflatedType(t) || (typeof t == 'object' && !(t instanceof Array))) {
+    return null;
+  } else if (DataStream._isPointerType(t)) {
+    return DataStream._fixedSize(t[1]);
+  } else if (DataStream._isChecksumType(t)) {
+    return DataStream._fixedSize(t[2] || DataStream.checksums[t[1]].type);
+  } else if (DataStream._isSubType(t)) {
+    return typeof t[1] == 'number' ? t[1] : null;
+  } else if (DataStream._isFieldRefType(t)) {
+    return DataStream._fixedSize(t[2]);
+  } else if (DataStream._isEnumType(t)) {
+    return DataStream._fixedSize(t[1]);
+  } else if (t instanceof Array && t.length != 3) {
+    var size = 0, bits = 0;
+    for (var i=0; i<t.length; i+=2) {
+      var ft = t[i+1];
+      var tp = typeof ft == 'string' ? ft.split(":") : [];
+      if (DataStream._isBitsType(tp[0]) && /^\d+$/.test(tp[1])) {
+        bits += parseInt(tp[1]);
+        size += bits >> 3;
+        bits &= 7;
+        continue;
+      }
+      if (bits > 0) {
+        size++;
+        bits = 0;
+      }
+      if (tp[0] == 'alignstruct' && /^\d+$/.test(tp[1])) {
+        var n = parseInt(tp[1]);
+        size += (n - size % n) % n;
+        continue;
+      }
+      var fs = DataStream._fixedSize(ft);
+      if (fs == null) {
+        return null;
+      }
+      size += fs;
+    }
+    return size + (bits > 0 ? 1 : 0);
+  } else if (t instanceof Array) {
+    var len = t[2];
+    if (typeof len == 'string' && /^\d+$/.test(len)) {
+      len = parseInt(len);
+    }
+    var es = DataStream._fixedSize(t[1]);
+    return (typeof len == 'number' && es != null) ? len * es : null;
+  }
+  if (DataStream.types.hasOwnProperty(t)) {
+    return DataStream._fixedSize(DataStream.types[t]);
+  }
+  var tp = t.split(":");
+  var name = tp[0].split(",")[0];
+  var scalar = DataStream._scalarTypes[name];
+  if (scalar) {
+    return tp.length == 1 && DataStream._scalarSizes[scalar[0]] || null;
+  }
+  var fixed = DataStream._fixedPointFormat(name);
+  if (fixed) {
+    return tp.length == 1 ? (fixed[0] + fixed[1]) / 8 : null;
+  } else if (DataStream._isRationalType(name)) {
+    return tp.length == 1 ? 8 : null;
+  }
+  if (!/^\d+$/.test(tp[1])) {
+    return null;
+  }
+  var n = parseInt(tp[1]);
+  switch (name) {
+    case 'cstring':
+    case 'string':
+    case 'pad':
+    case 'skip':
+      return n;
+    case 'u16string':
+    case 'u16stringle':
+    case 'u16stringbe':
+      return n * 2;
+    case 'bits':
+    case 'bitsbe':
+    case 'bitsle':
+      return Math.ceil(n / 8);
+  }
+  return null;
+};
+
+/**
+  Computes the number of bytes writeStruct would write for the given struct
+  at the current position, without modifying the DataStream. Pointed-to data
+  written after the struct is included.
+
+  Works by running writeStruct against a view of the DataStream that only
+  moves the write position, so the result is exact for every type that
+  writeStruct supports, including callbacks.
+
+  @param {Object} structDefinition Struct definition object.
+  @param {Object} struct The struct data object.
+  @return {number} The size of the serialized struct in bytes.
+ */
+DataStream.prototype.measureStruct = function(structDefinition, struct) {
+  return this._measure(function(m) {
+    m.writeStruct(structDefinition, struct);
+  });
+};
+
+/**
+  Computes the number of bytes writeType would write for the given value at
+  the current position, without modifying the DataStream.
+
+  @param {Object} t Type of data to measure.
+  @param {Object} v Value of data to measure.
+  @param {?Object} struct Struct to pass to write callback functions.
+  @return {number} The size of the serialized value in bytes.
+ */
+DataStream.prototype.measureType = function(t, v, struct) {
+  return this._measure(function(m) {
+    m.writeType(t, v, struct);
+  });
+};
+
+/**
+  Runs a write function against a view of the DataStream that only moves the
+  write position and returns the number of bytes it would have written.
+
+  @param {function} write Function that writes to the view passed to it.
+  @return {number} The number of bytes written.
+ */
+DataStream.prototype._measure = function(write) {
+  var m = Object.create(this);
+  var start = this.position;
+  var end = start;
+  m._dataView = DataStream._nullDataView;
+  m._realloc = function(extra) {
+    end = Math.max(end, this.position + extra);
+  };
+  for (var name in DataStream._arrayWriterSizes) {
+    m[name] = DataStream._measureArrayWriter(DataStream._arrayWriterSizes[name]);
+  }
+  write(m);
+  return Math.max(end, m.position) - start;
+};
+
+/**
+  Stand-in DataView for measureType that ignores writes and reads zeroes.
+  @type {Object}
+ */
+DataStream._nullDataView = (function() {
+  var dv = {};
+  var names = ['Int8', 'Uint8', 'Int16', 'Uint16', 'Int32', 'Uint32',
+               'Float32', 'Float64', 'BigInt64', 'BigUint64'];
+  for (var i=0; i<names.length; i++) {
+    dv['get' + names[i]] = function() { return 0; };
+    dv['set' + names[i]] = function() {};
+  }
+  return dv;
+})();
+
+/**
+  Element sizes of the typed array writers, which measureType replaces as
+  their fast paths copy to the backing buffer directly.
+  @type {Object}
+ */
+DataStream._arrayWriterSizes = {
+  writeInt8Array: 1, writeUint8Array: 1, writeInt16Array: 2,
+  writeUint16Array: 2, writeInt32Array: 4, writeUint32Array: 4,
+  writeFloat32Array: 4, writeFloat64Array: 8,
+  writeBigInt64Array: 8, writeBigUint64Array: 8
+};
 
-    case 'uint16':
-      v = this.readUint16(this.endianness); break;
-    case 'int16':
-      v = this.readInt16(this.endianness); break;
-    case 'uint32':
-      v = this.readUint32(this.endianness); break;
-    case 'int32':
-      v = this.readInt32(this.endianness); break;
-    case 'float32':
-      v = this.readFloat32(this.endianness); break;
-    case 'float64':
-      v = this.readFloat64(this.endianness); break;
+/**
+  Creates a typed array writer for measureType that only moves the position.
 
-    case 'uint16be':
-      v = this.readUint16(DataStream.BIG_ENDIAN); break;
-    case 'int16be':
-      v = this.readInt16(DataStream.BIG_ENDIAN); break;
-    case 'uint32be':
-      v = this.readUint32(DataStream.BIG_ENDIAN); break;
-    case 'int32be':
-      v = this.readInt32(DataStream.BIG_ENDIAN); break;
-    case 'float32be':
-      v = this.readFloat32(DataStream.BIG_ENDIAN); break;
-    case 'float64be':
-      v = this.readFloat64(DataStream.BIG_ENDIAN); break;
+  @param {number} size Element size in bytes.
+  @return {function} The measuring array writer.
+ */
+DataStream._measureArrayWriter = function(size) {
+  return function(arr) {
+    this._realloc(arr.length * size);
+    this.position += arr.length * size;
+  };
+};
 
-    case 'uint16le':
-      v = this.readUint16(DataStream.LITTLE_ENDIAN); break;
-    case 'int16le':
-      v = this.readInt16(DataStream.LITTLE_ENDIAN); break;
-    case 'uint32le':
-      v = this.readUint32(DataStream.LITTLE_ENDIAN); break;
-    case 'int32le':
-      v = this.readInt32(DataStream.LITTLE_ENDIAN); break;
-    case 'float32le':
-      v = this.readFloat32(DataStream.LITTLE_ENDIAN); break;
-    case 'float64le':
-      v = this.readFloat64(DataStream.LITTLE_ENDIAN); break;
+/**
+  Compiles a struct definition into a reader/writer pair that skips the
+  per-field type string parsing done by readType and writeType.
+  The compiled functions produce the same results as readStruct and writeStruct,
+  which use this function internally.
 
-    case 'cstring':
-      v = this.readCString(lengthOverride); break;
+  Compiled definitions are cached per definition object. The cache entry is
+  recompiled if the fields of the definition have been changed since.
 
-    case 'string':
-      v = this.readString(lengthOverride, charset); break;
+    var rec = DataStream.compileStruct(['x', 'float32', 'y', 'float32']);
+    var point = rec.read(ds);
+    rec.write(ds, point);
 
-    case 'u16string':
-      v = this.readUCS2String(lengthOverride, this.endianness); break;
+  @param {Object} structDefinition Struct definition object.
+  @return {Object} Object with read(dataStream) and write(dataStream, struct)
+                   functions.
+ */
+DataStream.compileStruct = function(structDefinition) {
+  var cache = DataStream._structCache;
+  var compiled = cache && cache.get(structDefinition);
+  if (compiled) {
+    var def = compiled.definition;
+    var fresh = def.length == structDefinition.length;
+    for (var i=0; fresh && i<def.length; i++) {
+      fresh = def[i] === structDefinition[i];
+    }
+    if (fresh) {
+      return compiled;
+    }
+  }
+  compiled = DataStream._compileStruct(structDefinition);
+  if (cache) {
+    cache.set(structDefinition, compiled);
+  }
+  return compiled;
+};
 
-    case 'u16stringle':
-      v = this.readUCS2String(lengthOverride, DataStream.LITTLE_ENDIAN); break;
+/**
+  Cache of compiled struct definitions, keyed by the definition object.
+  @type {Object}
+ */
+DataStream._structCache = typeof WeakMap == 'function' ? new WeakMap() : null;
 
-    case 'u16stringbe':
-      v = this.readUCS2String(lengthOverride, DataStream.BIG_ENDIAN); break;
+/**
+  Builds the compiled reader/writer pair for DataStream.compileStruct.
 
-    default:
-      if (t.length == 3) {
-        var ta = t[1];
-        var len = t[2];
-        var length = 0;
-        if (typeof len == 'function') {
-          length = len(struct, this, t);
-        } else if (typeof len == 'string' && struct[len] != null) {
-          length = parseInt(struct[len]);
-        } else {
-          length = parseInt(len);
-        }
-        if (typeof ta == "string") {
-          var tap = ta.replace(/(le|be)$/, '');
-          var endianness = null;
-          if (/le$/.test(ta)) {
-            endianness = DataStream.LITTLE_ENDIAN;
-          } else if (/be$/.test(ta)) {
-            endianness = DataStream.BIG_ENDIAN;
+  @param {Object} structDefinition Struct definition object.
+  @return {Object} The compiled struct.
+ */
+DataStream._compileStruct = function(structDefinition) {
+  var names = [], types = [], readers = [], writers = [];
+  var trackOffsets = false;
+  for (var i=0; i<structDefinition.length; i+=2) {
+    names.push(structDefinition[i]);
+    types.push(structDefinition[i+1]);
+    readers.push(DataStream._compileReader(structDefinition[i+1]));
+    writers.push(DataStream._compileWriter(structDefinition[i+1]));
+    trackOffsets = trackOffsets || DataStream._needsFieldOffsets(structDefinition[i+1]);
+  }
+  var count = names.length;
+  var lengthRefs = [];
+  for (i=0; i<count; i++) {
+    var ref = DataStream._lengthRef(types[i]);
+    if (ref != null && names.indexOf(ref) != -1) {
+      lengthRefs.push([names[i], ref, types[i]]);
+    }
+  }
+  return {
+    definition: structDefinition.slice(0),
+
+    read: function(ds) {
+      var struct = {}, v, i;
+      var layout = ds._layout;
+      var p = ds.position;
+      var bp = ds.bitPosition;
+      var outer = ds._structStart;
+      var outerOffsets = ds._fieldOffsets;
+      var offsets = trackOffsets ? {} : null;
+      var eof = ds.eof;
+      ds._structStart = p;
+      ds._fieldOffsets = offsets;
+      try {
+        for (i=0; i<count; i++) {
+          var fp = ds.position;
+          v = layout ? ds._recordLayout(names[i], types[i], readers[i], struct) :
+                       readers[i](ds, struct);
+          if (trackOffsets) {
+            offsets[names[i]] = [fp, ds.position];
           }
-          if (len == '*') {
-            length = null;
+          if (v === DataStream.ABSENT) {
+            continue;
           }
-          switch(tap) {
-            case 'uint8':
-              v = this.readUint8Array(length); break;
-            case 'uint16':
-              v = this.readUint16Array(length, endianness); break;
-            case 'uint32':
-              v = this.readUint32Array(length, endianness); break;
-            case 'int8':
-              v = this.readInt8Array(length); break;
-            case 'int16':
-              v = this.readInt16Array(length, endianness); break;
-            case 'int32':
-              v = this.readInt32Array(length, endianness); break;
-            case 'float32':
-              v = this.readFloat32Array(length, endianness); break;
-            case 'float64':
-              v = this.readFloat64Array(length, endianness); break;
-            case 'cstring':
-            case 'utf16string':
-            case 'string':
-              if (length == null) {
-                v = [];
-                while (!this.isEof()) {
-                  var u = this.readType(ta, struct);
-                  if (u == null) break;
-                  v.push(u);
-                }
-              } else {
-                v = new Array(length);
-                for (var i=0; i<length; i++) {
-                  v[i] = this.readType(ta, struct);
-                }
-              }
-              break;
+          if (v == null) {
+            break;
           }
-        } else {
-          if (len == '*') {
-            v = [];
-            this.buffer;
-            while (true) {
-              var p = this.position;
-              try {
-                var o = this.readType(ta, struct);
-                if (o == null) {
-                  this.position = p;
-                  break;
-                }
-                v.push(o);
-              } catch(e) {
-                this.position = p;
-                break;
-              }
-            }
-          } else {
-            v = new Array(length);
-            for (var i=0; i<length; i++) {
-              var u = this.readType(ta, struct);
-              if (u == null) return null;
-              v[i] = u;
-            }
+          struct[names[i]] = v;
+          if (ds.eof && !eof && ds.lenient) {
+            return struct;
+          }
+        }
+      } catch(e) {
+        if (ds.lenient && e instanceof DataStream.EOFError) {
+          ds.eof = true;
+          return struct;
+        }
+        throw ds.throwOnParseError ? ds._parseError(e, names[i], types[i], struct) : e;
+      } finally {
+        ds._structStart = outer;
+        ds._fieldOffsets = outerOffsets;
+      }
+      if (i < count) {
+        if (ds.throwOnParseError) {
+          throw ds._parseError(null, names[i], types[i], struct);
+        }
+        if (ds.failurePosition == 0) {
+          ds.failurePosition = ds.position;
+        }
+        ds.position = p;
+        ds.bitPosition = bp;
+        return null;
+      }
+      return struct;
+    },
+
+    write: function(ds, struct) {
+      if (lengthRefs.length > 0) {
+        struct = DataStream._withLengthRefs(struct, lengthRefs);
+      }
+      var outermost = ds._pendingPointers == null;
+      if (outermost) {
+        ds._pendingPointers = [];
+      }
+      var outer = ds._structStart;
+      var outerOffsets = ds._fieldOffsets;
+      var outerReserved = ds._reservedFields;
+      var offsets = trackOffsets ? {} : null;
+      ds._structStart = ds.position;
+      ds._fieldOffsets = offsets;
+      ds._reservedFields = trackOffsets ? [] : null;
+      try {
+        for (var i=0; i<count; i++) {
+          var fp = ds.position;
+          writers[i](ds, struct[names[i]], struct);
+          if (trackOffsets) {
+            offsets[names[i]] = [fp, ds.position];
           }
         }
+        if (trackOffsets) {
+          ds._fillReservedFields();
+        }
+        if (outermost) {
+          ds._flushPointers();
+        }
+      } finally {
+        ds._structStart = outer;
+        ds._fieldOffsets = outerOffsets;
+        ds._reservedFields = outerReserved;
+        if (outermost) {
+          ds._pendingPointers = null;
+        }
+      }
+    }
+  };
+};
+
+/**
+  Scalar types that can be read and written without any further arguments,
+  mapped to the DataStream method name suffix and the endianness to pass.
+  A null endianness means the DataStream endianness at the time of the call.
+  @type {Object}
+ */
+DataStream._scalarTypes = (function() {
+  var types = {
+    'uint8': ['Uint8'], 'int8': ['Int8'],
+    'uleb128': ['ULEB128'], 'sleb128': ['SLEB128'], 'varint': ['Varint'],
+    'zigzag': ['ZigZag'], 'vlq': ['VLQ']
+  };
+  var sized = {
+    'uint16': 'Uint16', 'int16': 'Int16', 'uint32': 'Uint32', 'int32': 'Int32',
+    'uint64': 'Uint64', 'int64': 'Int64',
+    'float16': 'Float16', 'float32': 'Float32', 'float64': 'Float64'
+  };
+  for (var name in sized) {
+    types[name] = [sized[name], null];
+    types[name+'be'] = [sized[name], DataStream.BIG_ENDIAN];
+    types[name+'le'] = [sized[name], DataStream.LITTLE_ENDIAN];
+  }
+  return types;
+})();
+
+/**
+  Compiles a readStruct type into a function(dataStream, struct) that reads
+  a value of that type. Types that have no specialized reader are read with
+  readType.
+
+  @param {Object} t Type to compile.
+  @return {function} The compiled reader.
+ */
+DataStream._compileReader = function(t) {
+  if (typeof t == "function") {
+    return t;
+  } else if (typeof t == "object" && !(t instanceof Array)) {
+    return function(ds, struct) { return t.get(ds, struct); };
+  } else if (DataStream._isPointerType(t) || DataStream._isChecksumType(t) ||
+             DataStream._isDeflatedType(t) || DataStream._isFieldRefType(t) ||
+             DataStream._isEnumType(t)) {
+    return function(ds, struct) { return ds.readType(t, struct); };
+  } else if (t instanceof Array && t.length != 3) {
+    return function(ds) { return ds.readStruct(t); };
+  } else if (typeof t != 'string' || /,/.test(t)) {
+    return function(ds, struct) { return ds.readType(t, struct); };
+  }
+  var name = t, len = null;
+  if (/:/.test(t)) {
+    var tp = t.split(":");
+    name = tp[0];
+    len = tp[1];
+  }
+  var scalar = DataStream._scalarTypes[name];
+  if (scalar && len == null) {
+    // Called through ds so that overridden read methods are used.
+    var readScalar = 'read' + scalar[0];
+    var e = scalar[1];
+    if (scalar.length == 1) {
+      return function(ds) {
+        if (ds.bitPosition > 0) {
+          ds.alignToByte();
+        }
+        return ds[readScalar]();
+      };
+    }
+    return function(ds) {
+      if (ds.bitPosition > 0) {
+        ds.alignToByte();
+      }
+      return ds[readScalar](e == null ? ds.endianness : e);
+    };
+  }
+  var lengthOf = function(struct) {
+    return struct[len] != null ? parseInt(struct[len]) : parseInt(len);
+  };
+  if (DataStream._isBitsType(name) && len != null) {
+    var order = name == 'bitsbe' ? DataStream.MSB_FIRST :
+                name == 'bitsle' ? DataStream.LSB_FIRST : null;
+    return function(ds, struct) {
+      return ds.readBits(lengthOf(struct), order);
+    };
+  }
+  var read;
+  switch (name) {
+    case 'cstring':
+      read = function(ds, length) { return ds.readCString(length); }; break;
+    case 'string':
+      read = function(ds, length) { return ds.readString(length, "ASCII"); }; break;
+    case 'u16string':
+      read = function(ds, length) { return ds.readUCS2String(length, ds.endianness); }; break;
+    case 'u16stringle':
+      read = function(ds, length) { return ds.readUCS2String(length, DataStream.LITTLE_ENDIAN); }; break;
+    case 'u16stringbe':
+      read = function(ds, length) { return ds.readUCS2String(length, DataStream.BIG_ENDIAN); }; break;
+    default:
+      return function(ds, struct) { return ds.readType(t, struct); };
+  }
+  return function(ds, struct) {
+    if (ds.bitPosition > 0) {
+      ds.alignToByte();
+    }
+    if (len == null) {
+      return read(ds, null);
+    }
+    var pos = ds.position;
+    var length = lengthOf(struct);
+    var v = read(ds, length);
+    ds.position = pos + length;
+    if (ds.lenient && ds.position > ds.byteLength) {
+      ds.position = ds.byteLength;
+    }
+    return v;
+  };
+};
+
+/**
+  Compiles a writeStruct type into a function(dataStream, value, struct) that
+  writes a value of that type. Types that have no specialized writer are
+  written with writeType.
+
+  @param {Object} t Type to compile.
+  @return {function} The compiled writer.
+ */
+DataStream._compileWriter = function(t) {
+  var scalar = typeof t == 'string' && DataStream._scalarTypes[t];
+  if (!scalar) {
+    return function(ds, v, struct) { ds.writeType(t, v, struct); };
+  }
+  var write = 'write' + scalar[0];
+  var e = scalar[1];
+  return function(ds, v) {
+    if (ds.bitPosition > 0) {
+      ds.alignToByte();
+    }
+    ds[write](v, e == null ? ds.endianness : e);
+  };
+};
+
+/**
+  Returns a hexdump of the DataStream contents with offset, hex and ASCII
+  columns, like hexdump -C:
+
+    00000000  48 65 6c 6c 6f 2c 20 57  6f 72 6c 64 21 00 00 00  |Hello, World!...|
+
+  Given options.struct, the dump is annotated: the struct is read from start,
+  and the bytes of each field are shown on their own rows, labeled with the
+  field name and value and indented by nesting depth. The fields that were
+  read before a failed read are shown along with the error. The DataStream
+  position is left unchanged.
+
+  @param {?number} start Offset to start the dump at. Defaults to 0.
+  @param {?number} length Number of bytes to dump. Defaults to the rest of
+                          the DataStream.
+  @param {?Object} options Optional settings: width (bytes per row, default
+                           16), struct (struct definition to annotate with)
+                           and html (return an HTML fragment instead of text).
+  @return {string} The hexdump.
+ */
+DataStream.prototype.hexdump = function(start, length, options) {
+  options = options || {};
+  start = start == null ? 0 : start;
+  var end = length == null ? this.byteLength : Math.min(this.byteLength, start + length);
+  var width = options.width || 16;
+  var lines = [];
+  if (options.struct) {
+    this._annotatedHexdumpLines(start, end, width, options.struct, lines);
+  } else {
+    for (var o=start; o<end; o+=width) {
+      lines.push({offset: o, bytes: this._hexdumpBytes(o, Math.min(end, o + width))});
+    }
+  }
+  var out = [];
+  for (var i=0; i<lines.length; i++) {
+    out.push(DataStream._hexdumpLine(lines[i], width, options.html));
+  }
+  if (options.html) {
+    return '<pre class="datastream-hexdump">' + out.join('\n') + '</pre>';
+  }
+  return out.join('\n');
+};
+
+/**
+  Returns the bytes from start to end as an Array.
+
+  @param {number} start Start offset.
+  @param {number} end End offset.
+  @return {Array} The bytes.
+ */
+DataStream.prototype._hexdumpBytes = function(start, end) {
+  var bytes = [];
+  for (var i=start; i<end; i++) {
+    bytes.push(this._dataView.getUint8(i));
+  }
+  return bytes;
+};
+
+/**
+  Reads structDefinition from start, recording its layout, and adds the
+  hexdump lines of the fields up to end to lines.
+
+  @param {number} start Offset to read the struct from.
+  @param {number} end Offset to stop the dump at.
+  @param {number} width Bytes per row.
+  @param {Object} structDefinition Struct definition to annotate with.
+  @param {Array} lines Array to add the lines to.
+ */
+DataStream.prototype._annotatedHexdumpLines = function(start, end, width, structDefinition, lines) {
+  var pos = this.position;
+  var bp = this.bitPosition;
+  var lastStructLayout = this.lastStructLayout;
+  var throwOnParseError = this.throwOnParseError;
+  var struct = null, err = null, nodes;
+  this.seek(start);
+  this.throwOnParseError = true;
+  try {
+    struct = this.readStruct(structDefinition, {withOffsets: true});
+  } catch(e) {
+    err = e;
+    struct = e instanceof DataStream.ParseError ? e.struct : null;
+  } finally {
+    nodes = this.lastStructLayout.children;
+    this.lastStructLayout = lastStructLayout;
+    this.throwOnParseError = throwOnParseError;
+    this.position = pos;
+    this.bitPosition = bp;
+  }
+  this._hexdumpNodeLines(nodes, struct, 0, end, width, lines);
+  if (err) {
+    lines.push({offset: err.position == null ? start : err.position, bytes: [],
+                depth: 0, error: String(err.message)});
+  }
+};
+
+/**
+  Adds the hexdump lines of the layout nodes and their children to lines.
+
+  @param {Array} nodes Layout nodes.
+  @param {Object} value The struct or array the nodes were read into.
+  @param {number} depth Nesting depth of the nodes.
+  @param {number} end Offset to stop the dump at.
+  @param {number} width Bytes per row.
+  @param {Array} lines Array to add the lines to.
+ */
+DataStream.prototype._hexdumpNodeLines = function(nodes, value, depth, end, width, lines) {
+  for (var i=0; i<nodes.length; i++) {
+    var node = nodes[i];
+    if (node.offset >= end) {
+      continue;
+    }
+    var name = typeof node.name == 'number' ? '[' + node.name + ']' : node.name;
+    var v = value == null ? undefined : value[node.name];
+    if (node.children.length > 0) {
+      lines.push({offset: node.offset, bytes: [], depth: depth, name: name});
+      this._hexdumpNodeLines(node.children, v, depth + 1, end, width, lines);
+      continue;
+    }
+    var fieldEnd = Math.min(end, node.offset + node.length);
+    var o = node.offset;
+    do {
+      lines.push({offset: o, bytes: this._hexdumpBytes(o, Math.min(fieldEnd, o + width)),
+                  depth: depth, name: o == node.offset ? name : null,
+                  value: o == node.offset ? DataStream._hexdumpValue(v) : null});
+      o += width;
+    } while (o < fieldEnd);
+  }
+};
+
+/**
+  Formats a field value for an annotated hexdump.
+
+  @param {Object} v The value.
+  @return {string} The formatted value, empty for structs.
+ */
+DataStream._hexdumpValue = function(v) {
+  if (typeof v == 'string') {
+    return JSON.stringify(v);
+  } else if (typeof v == 'number' && v % 1 == 0 && v > 9) {
+    return v + ' (0x' + v.toString(16) + ')';
+  } else if (v instanceof Array || (ArrayBuffer.isView && ArrayBuffer.isView(v))) {
+    var items = [];
+    for (var i=0; i<Math.min(v.length, 8); i++) {
+      items.push(DataStream._hexdumpValue(v[i]));
+    }
+    if (v.length > 8) {
+      items.push('... ' + v.length + ' items');
+    }
+    return '[' + items.join(', ') + ']';
+  } else if (v != null && typeof v.numerator == 'number' && typeof v.denominator == 'number') {
+    return v.numerator + '/' + v.denominator;
+  } else if (v == null || typeof v == 'object') {
+    return '';
+  }
+  return String(v);
+};
+
+/**
+  Renders a hexdump line as text or HTML.
+
+  @param {Object} line The line with offset, bytes and optional depth, name,
+                       value and error.
+  @param {number} width Bytes per row.
+  @param {boolean} html Whether to render HTML.
+  @return {string} The rendered line.
+ */
+DataStream._hexdumpLine = function(line, width, html) {
+  var esc = function(str) {
+    return html ? str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;') : str;
+  };
+  var span = function(cls, str) {
+    return html ? '<span class="' + cls + '">' + str + '</span>' : str;
+  };
+  var offset = line.offset.toString(16);
+  while (offset.length < 8) {
+    offset = '0' + offset;
+  }
+  var hex = '', ascii = '', pad = '';
+  for (var i=0; i<width; i++) {
+    var b = line.bytes[i];
+    if (i > 0) {
+      hex += i % 8 == 0 ? '  ' : ' ';
+    }
+    hex += b == null ? '  ' : (b < 16 ? '0' : '') + b.toString(16);
+    if (b == null) {
+      pad += ' ';
+    } else {
+      ascii += b >= 0x20 && b < 0x7f ? String.fromCharCode(b) : '.';
+    }
+  }
+  var str = span('offset', offset) + '  ' + span('hex', hex) + '  ' +
+            span('ascii', esc(ascii.length > 0 ? '|' + ascii + '|' : '  '));
+  if (line.error || line.name != null) {
+    str += pad;
+  }
+  var indent = new Array((line.depth || 0) + 1).join('  ');
+  if (line.error) {
+    str += '  ' + indent + span('error', esc('!! ' + line.error));
+  } else if (line.name != null) {
+    str += '  ' + indent + span('name', esc(line.name));
+    if (line.value) {
+      str += ' = ' + span('value', esc(line.value));
+    }
+  }
+  return html ? '<span class="row" data-offset="' + line.offset + '">' + str + '</span>' : str;
+};
+
+/**
+  Incremental parser for data that arrives in chunks, e.g. from a WebSocket
+  or a fetch stream. Parses as many complete records of structDefinition as
+  the data appended so far contains, and keeps the bytes of an incomplete
+  record around until more data arrives, at which point the record is parsed
+  again from its start. An incomplete record isn't parsed again before the
+  data it ran out on has arrived, so that a large record arriving in small
+  chunks isn't parsed on every append. Callbacks in the definition are called
+  again each time the record is parsed.
+
+  Records are passed to the callback if one is given. Otherwise they are
+  queued for reading with next() or with for await:
+
+    var parser = new DataStream.StreamParser(packetDef);
+    socket.onmessage = function(e) { parser.append(e.data); };
+    socket.onclose = function() { parser.end(); };
+    for await (var packet of parser) { ... }
+
+  A record that ends exactly at the end of the data appended so far is held
+  back until more data arrives or end() is called if its definition reads
+  up to the end of the data, e.g. with a '*' array or a string without length.
+
+  @param {Object} structDefinition Struct definition of a record.
+  @param {?function} callback Function called with each parsed record.
+  @param {?boolean} endianness DataStream.BIG_ENDIAN or DataStream.LITTLE_ENDIAN (the default).
+ */
+DataStream.StreamParser = function(structDefinition, callback, endianness) {
+  this.definition = structDefinition;
+  this.callback = callback || null;
+  this.endianness = endianness == null ? DataStream.LITTLE_ENDIAN : endianness;
+  this.ended = false;
+  this._pending = new Uint8Array(0);
+  this._pendingLength = 0;
+  this._needed = 0;
+  this._consumed = 0;
+  this._openEnded = DataStream._isOpenEnded(structDefinition, []);
+  this._records = [];
+  this._waiting = [];
+  this._error = null;
+};
+
+/**
+  Appends a chunk of data and parses the records it completes.
+  Throws the DataStream.ParseError of a record that can't be parsed.
+
+  @param {Object} chunk ArrayBuffer, typed array or DataView to append.
+ */
+DataStream.StreamParser.prototype.append = function(chunk) {
+  if (this.ended) {
+    throw("DataStream.StreamParser: Can't append after end()");
+  }
+  var u8 = chunk instanceof ArrayBuffer ? new Uint8Array(chunk) :
+           new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+  var len = this._pendingLength + u8.length;
+  if (len > this._pending.length) {
+    var buf = new Uint8Array(Math.max(len, this._pending.length * 2));
+    buf.set(this._pending.subarray(0, this._pendingLength));
+    this._pending = buf;
+  }
+  this._pending.set(u8, this._pendingLength);
+  this._pendingLength = len;
+  if (len >= this._needed) {
+    this._parse();
+  }
+};
+
+/**
+  Signals the end of the data. Parses the records that were held back and
+  throws a DataStream.ParseError if the data ends with an incomplete record.
+ */
+DataStream.StreamParser.prototype.end = function() {
+  if (this.ended) {
+    return;
+  }
+  this.ended = true;
+  this._parse();
+  for (var i=0; i<this._waiting.length; i++) {
+    this._waiting[i].resolve({value: undefined, done: true});
+  }
+  this._waiting = [];
+};
+
+/**
+  Returns a promise for the next parsed record, in the format of the async
+  iterator protocol. Only used if the parser has no callback.
+
+  @return {Object} Promise of {value: record, done: false}, or
+                   {value: undefined, done: true} after the end of data.
+ */
+DataStream.StreamParser.prototype.next = function() {
+  var self = this;
+  return new Promise(function(resolve, reject) {
+    if (self._records.length > 0) {
+      resolve({value: self._records.shift(), done: false});
+    } else if (self._error) {
+      reject(self._error);
+    } else if (self.ended) {
+      resolve({value: undefined, done: true});
+    } else {
+      self._waiting.push({resolve: resolve, reject: reject});
+    }
+  });
+};
+
+if (typeof Symbol == 'function' && Symbol.asyncIterator) {
+  DataStream.StreamParser.prototype[Symbol.asyncIterator] = function() {
+    return this;
+  };
+}
+
+/**
+  Parses the complete records in the pending data and drops their bytes.
+  Sets the length of pending data needed to parse the incomplete record.
+ */
+DataStream.StreamParser.prototype._parse = function() {
+  var ds = new DataStream(this._pending.subarray(0, this._pendingLength), null, this.endianness);
+  ds.dynamicSize = false;
+  ds.throwOnParseError = true;
+  ds._origin = this._consumed;
+  var needed = 0;
+  while (!ds.isEof()) {
+    var start = ds.position;
+    var record;
+    try {
+      record = ds.readStruct(this.definition);
+    } catch(e) {
+      ds.position = start;
+      if (!this.ended && this._isIncomplete(e, ds)) {
+        needed = this._neededLength(e, ds) - start;
         break;
       }
+      this._drop(start);
+      this._fail(e);
+    }
+    if (ds.position == start ||
+        (ds.isEof() && this._openEnded && !this.ended)) {
+      ds.position = start;
+      needed = ds.byteLength + 1 - start;
+      break;
+    }
+    this._emit(record);
   }
-  if (lengthOverride != null) {
-    this.position = pos + lengthOverride;
+  this._drop(ds.position);
+  this._needed = needed;
+};
+
+/**
+  Drops the first n bytes of the pending data. The rest is moved to a new
+  buffer, as the parsed records may refer to the old one.
+
+  @param {number} n Number of bytes to drop.
+ */
+DataStream.StreamParser.prototype._drop = function(n) {
+  if (n > 0) {
+    var rest = this._pending.slice(n, this._pendingLength);
+    this._pending = new Uint8Array(Math.max(rest.length * 2, 64));
+    this._pending.set(rest);
+    this._pendingLength = rest.length;
+    this._consumed += n;
   }
-  return v;
 };
 
 /**
-  Writes a struct to the DataStream. Takes a structDefinition that gives the
-  types and a struct object that gives the values. Refer to readStruct for the
-  structure of structDefinition.
+  Returns the length of pending data needed before an incomplete record can
+  be parsed again: enough for the read that ran past the end of the data,
+  and for the whole record if it has a fixed size.
 
-  @param {Object} structDefinition Type definition of the struct.
-  @param {Object} struct The struct data object.
-  */
-DataStream.prototype.writeStruct = function(structDefinition, struct) {
-  for (var i = 0; i < structDefinition.length; i+=2) {
-    var t = structDefinition[i+1];
-    this.writeType(t, struct[structDefinition[i]], struct);
+  @param {Object} e The error thrown by readStruct.
+  @param {Object} ds The DataStream over the pending data.
+  @return {number} The length of pending data needed.
+ */
+DataStream.StreamParser.prototype._neededLength = function(e, ds) {
+  var needed = ds.byteLength + 1;
+  var c = e.cause;
+  if (c instanceof DataStream.EOFError && c.position + c.remaining == ds.byteLength) {
+    needed = Math.max(needed, c.position + c.requested);
   }
+  var size = DataStream._fixedSize(this.definition);
+  if (size != null) {
+    needed = Math.max(needed, ds.position + size);
+  }
+  return needed;
 };
 
 /**
-  Writes object v of type t to the DataStream.
+  Returns true if a record failed to parse because its data hasn't arrived
+  yet, i.e. the read ran past the end of the pending data.
 
-  @param {Object} t Type of data to write.
-  @param {Object} v Value of data to write.
-  @param {Object} struct Struct to pass to write callback functions.
-  */
-DataStream.prototype.writeType = function(t, v, struct) {
-  if (typeof t == "function") {
-    return t(this, v);
-  } else if (typeof t == "object" && !(t instanceof Array)) {
-    return t.set(this, v, struct);
+  @param {Object} e The error thrown by readStruct.
+  @param {Object} ds The DataStream over the pending data.
+  @return {boolean} True if the record is incomplete.
+ */
+DataStream.StreamParser.prototype._isIncomplete = function(e, ds) {
+  return e instanceof DataStream.ParseError &&
+    (e.cause instanceof RangeError || (e.cause == null && e.position >= ds.byteLength));
+};
+
+/**
+  Passes a record to the callback, a waiting next() call or the record queue.
+
+  @param {Object} record The parsed record.
+ */
+DataStream.StreamParser.prototype._emit = function(record) {
+  if (this.callback) {
+    this.callback(record);
+  } else if (this._waiting.length > 0) {
+    this._waiting.shift().resolve({value: record, done: false});
+  } else {
+    this._records.push(record);
   }
-  var lengthOverride = null;
-  var charset = "ASCII";
-  var pos = this.position;
-  if (typeof(t) == 'string' && /:/.test(t)) {
-    var tp = t.split(":");
-    t = tp[0];
-    lengthOverride = parseInt(tp[1]);
+};
+
+/**
+  Rejects the waiting next() calls with the error and throws it.
+
+  @param {Object} e The error.
+ */
+DataStream.StreamParser.prototype._fail = function(e) {
+  this._error = e;
+  for (var i=0; i<this._waiting.length; i++) {
+    this._waiting[i].reject(e);
   }
-  if (typeof t == 'string' && /,/.test(t)) {
-    var tp = t.split(",");
-    t = tp[0];
-    charset = parseInt(tp[1]);
+  this._waiting = [];
+  throw e;
+};
+
+/**
+  Returns true if reading type t may consume everything up to the end of the
+  data, so that its extent can't be known before the data has ended.
+  Callbacks are assumed not to.
+
+  @param {Object} t Type to check.
+  @param {Array} seen Named types already visited, to stop recursion.
+  @param {?boolean} arraysOnly Only look for '*' arrays, not strings without length.
+  @return {boolean} True if the type reads up to the end of the data.
+ */
+DataStream._isOpenEnded = function(t, seen, arraysOnly) {
+  var i;
+  if (DataStream._isConditionalType(t)) {
+    if (t[0] === 'if') {
+      return DataStream._isOpenEnded(t[2], seen, arraysOnly);
+    }
+    for (i in t[2]) {
+      if (t[2].hasOwnProperty(i) && DataStream._isOpenEnded(t[2][i], seen, arraysOnly)) {
+        return true;
+      }
+    }
+    return false;
+  } else if (DataStream._isPointerType(t)) {
+    return DataStream._isOpenEnded(t[1], seen, arraysOnly) ||
+           DataStream._isOpenEnded(t[2], seen, arraysOnly);
+  } else if (DataStream._isDeflatedType(t)) {
+    return t[2] == '*';
+  } else if (DataStream._isSubType(t)) {
+    return t[1] == '*';
+  } else if (t instanceof Array && t.length != 3) {
+    for (i=1; i<t.length; i+=2) {
+      if (DataStream._isOpenEnded(t[i], seen, arraysOnly)) {
+        return true;
+      }
+    }
+    return false;
+  } else if (t instanceof Array) {
+    return t[2] == '*' || DataStream._isOpenEnded(t[1], seen, arraysOnly);
+  } else if (typeof t != 'string') {
+    return false;
+  }
+  if (DataStream.types.hasOwnProperty(t)) {
+    if (seen.indexOf(t) != -1) {
+      return false;
+    }
+    seen.push(t);
+    return DataStream._isOpenEnded(DataStream.types[t], seen, arraysOnly);
   }
+  return !arraysOnly && /^(cstring|string|u16string(le|be)?)(,.*)?$/.test(t);
+};
 
-  switch(t) {
-    case 'uint8':
-      this.writeUint8(v);
-      break;
-    case 'int8':
-      this.writeInt8(v);
-      break;
+/**
+  Read-only DataStream over a Blob, a File or a Node FileHandle that loads
+  data on demand, for sources too large to read into an ArrayBuffer.
+  The source is read in pages of pageSize bytes that are kept in an LRU
+  cache of at most maxCacheSize bytes.
+
+  The read methods return promises. They parse from a window of the source
+  that starts at the current position and grows until the read fits in it,
+  so that only the pages the read touches are loaded. Fixed-size types load
+  exactly their size, and types with '*' arrays load the rest of the source.
+  Pointed-to data is loaded as separate ranges, so a pointer far into the
+  source doesn't load the data between.
+
+    DataStream.LazyStream.open(file).then(function(ls) {
+      return ls.readStruct(headerDef);
+    }).then(function(header) { ... });
+
+  Callbacks in struct definitions see the window, not the whole source:
+  byteLength and seek are relative to it. A callback that seeks past the
+  end of the window grows the window to the position it reads from.
+
+  @param {Object} source Blob, File or Node FileHandle to read from.
+  @param {?Object} options Optional settings: byteLength (the size of the
+                           source, required for a FileHandle), pageSize
+                           (default 64 kB), maxCacheSize (default 16 MB)
+                           and endianness.
+ */
+DataStream.LazyStream = function(source, options) {
+  options = options || {};
+  this.source = source;
+  this.byteLength = options.byteLength != null ? options.byteLength : source.size;
+  if (this.byteLength == null) {
+    throw("DataStream.LazyStream: Unknown source size, use DataStream.LazyStream.open");
+  }
+  this.pageSize = options.pageSize || 65536;
+  this.maxCacheSize = options.maxCacheSize || 16777216;
+  this.endianness = options.endianness == null ? DataStream.LITTLE_ENDIAN : options.endianness;
+  this.position = 0;
+  this.cacheSize = 0;
+  this._pages = new Map();
+  this._loading = {};
+};
 
-    case 'uint16':
-      this.writeUint16(v, this.endianness);
-      break;
-    case 'int16':
-      this.writeInt16(v, this.endianness);
-      break;
-    case 'uint32':
-      this.writeUint32(v, this.endianness);
-      break;
-    case 'int32':
-      this.writeInt32(v, this.endianness);
-      break;
-    case 'float32':
-      this.writeFloat32(v, this.endianness);
-      break;
-    case 'float64':
-      this.writeFloat64(v, this.endianness);
-      break;
+/**
+  Creates a LazyStream, looking up the size of a Node FileHandle source.
 
-    case 'uint16be':
-      this.writeUint16(v, DataStream.BIG_ENDIAN);
-      break;
-    case 'int16be':
-      this.writeInt16(v, DataStream.BIG_ENDIAN);
-      break;
-    case 'uint32be':
-      this.writeUint32(v, DataStream.BIG_ENDIAN);
-      break;
-    case 'int32be':
-      this.writeInt32(v, DataStream.BIG_ENDIAN);
-      break;
-    case 'float32be':
-      this.writeFloat32(v, DataStream.BIG_ENDIAN);
-      break;
-    case 'float64be':
-      this.writeFloat64(v, DataStream.BIG_ENDIAN);
-      break;
+  @param {Object} source Blob, File or Node FileHandle to read from.
+  @param {?Object} options Options for the DataStream.LazyStream constructor.
+  @return {Object} Promise of the DataStream.LazyStream.
+ */
+DataStream.LazyStream.open = function(source, options) {
+  options = options || {};
+  if (options.byteLength != null || source.size != null) {
+    return Promise.resolve(new DataStream.LazyStream(source, options));
+  }
+  return source.stat().then(function(stat) {
+    var opts = {byteLength: stat.size};
+    for (var i in options) {
+      if (options.hasOwnProperty(i) && i != 'byteLength') {
+        opts[i] = options[i];
+      }
+    }
+    return new DataStream.LazyStream(source, opts);
+  });
+};
 
-    case 'uint16le':
-      this.writeUint16(v, DataStream.LITTLE_ENDIAN);
-      break;
-    case 'int16le':
-      this.writeInt16(v, DataStream.LITTLE_ENDIAN);
-      break;
-    case 'uint32le':
-      this.writeUint32(v, DataStream.LITTLE_ENDIAN);
-      break;
-    case 'int32le':
-      this.writeInt32(v, DataStream.LITTLE_ENDIAN);
-      break;
-    case 'float32le':
-      this.writeFloat32(v, DataStream.LITTLE_ENDIAN);
-      break;
-    case 'float64le':
-      this.writeFloat64(v, DataStream.LITTLE_ENDIAN);
-      break;
+/**
+  Byte offset of the first failed readStruct, like DataStream.failurePosition.
+  @type {number}
+ */
+DataStream.LazyStream.prototype.failurePosition = 0;
 
-    case 'cstring':
-      this.writeCString(v, lengthOverride);
-      break;
+/**
+  Makes the read methods reject with a DataStream.ParseError instead of
+  resolving to null, like DataStream.throwOnParseError.
+  @type {boolean}
+ */
+DataStream.LazyStream.prototype.throwOnParseError = false;
 
-    case 'string':
-      this.writeString(v, charset, lengthOverride);
-      break;
+/**
+  Registry of types defined on the LazyStream with defineType, shared with the
+  DataStreams the reads are parsed with.
+  @type {?Object}
+ */
+DataStream.LazyStream.prototype._types = null;
+DataStream.LazyStream.prototype.defineType = DataStream.prototype.defineType;
+DataStream.LazyStream.prototype.lookupType = DataStream.prototype.lookupType;
 
-    case 'u16string':
-      this.writeUCS2String(v, this.endianness, lengthOverride);
-      break;
+/**
+  Sets the read position to given position, clamped to the source size.
 
-    case 'u16stringle':
-      this.writeUCS2String(v, DataStream.LITTLE_ENDIAN, lengthOverride);
-      break;
+  @param {number} pos Position to seek to.
+ */
+DataStream.LazyStream.prototype.seek = function(pos) {
+  var npos = Math.max(0, Math.min(this.byteLength, pos));
+  this.position = (isNaN(npos) || !isFinite(npos)) ? 0 : npos;
+};
 
-    case 'u16stringbe':
-      this.writeUCS2String(v, DataStream.BIG_ENDIAN, lengthOverride);
-      break;
+/**
+  Returns true if the read position is at the end of the source.
 
-    default:
-      if (t.length == 3) {
-        var ta = t[1];
-        for (var i=0; i<v.length; i++) {
-          this.writeType(ta, v[i]);
+  @return {boolean} True if there's no more data to read.
+ */
+DataStream.LazyStream.prototype.isEof = function() {
+  return (this.position >= this.byteLength);
+};
+
+/**
+  Reads a struct of data like DataStream.readStruct.
+
+  @param {Object} structDefinition Struct definition object.
+  @return {Object} Promise of the read struct. Null if failed to read struct.
+ */
+DataStream.LazyStream.prototype.readStruct = function(structDefinition) {
+  return this._read(structDefinition, true);
+};
+
+/**
+  Reads an object of type t like DataStream.readType.
+
+  @param {Object} t Type of data to read.
+  @return {Object} Promise of the read value.
+ */
+DataStream.LazyStream.prototype.readType = function(t) {
+  return this._read(t, false);
+};
+
+/**
+  Reads length bytes into a new Uint8Array.
+
+  @param {number} length Number of bytes to read.
+  @return {Object} Promise of the Uint8Array.
+ */
+DataStream.LazyStream.prototype.readUint8Array = function(length) {
+  return this._read(['[]', 'uint8', length], false);
+};
+
+/**
+  Reads type t from a window of the source starting at the current position,
+  growing the window and reading again while the read runs past its end.
+  Pointed-to data outside the window is read from ranges of its own, which
+  are loaded and grown the same way.
+
+  @param {Object} t Type of data to read.
+  @param {boolean} isStruct Whether t is read with readStruct or readType.
+  @return {Object} Promise of the read value.
+ */
+DataStream.LazyStream.prototype._read = function(t, isStruct) {
+  var self = this;
+  var start = this.position;
+  var size = DataStream._fixedSize(t);
+  var end = DataStream._isOpenEnded(t, [], true) ? this.byteLength :
+            start + (size == null ? this.pageSize : size);
+  // ranges[0] is the window, the rest hold pointed-to data.
+  var ranges = [{start: start, end: Math.min(this.byteLength, end), ds: null}];
+  var missing = null;
+  var rangeAt = function(pos) {
+    for (var i=0; i<ranges.length; i++) {
+      if (pos >= ranges[i].start && pos < ranges[i].end) {
+        return i;
+      }
+    }
+    return -1;
+  };
+  var readAt = function(position, t, struct) {
+    var pos = this._origin + position;
+    var i = rangeAt(pos);
+    if (i < 0) {
+      var n = DataStream._fixedSize(t);
+      missing = {index: -1, start: pos, end: Math.min(self.byteLength, pos + (n == null ? self.pageSize : n))};
+      throw new DataStream.EOFError(position, n == null ? 1 : n, 0);
+    }
+    var ds = ranges[i].ds;
+    if (ds === this) {
+      return DataStream.prototype._readAt.call(this, position, t, struct);
+    }
+    try {
+      return DataStream.prototype._readAt.call(ds, pos - ds._origin, t, struct);
+    } catch(e) {
+      var cause = e instanceof DataStream.ParseError ? e.cause : e;
+      if (missing == null && i > 0 && cause instanceof RangeError) {
+        var r = ranges[i];
+        missing = {index: i, start: r.start,
+                   end: Math.min(self.byteLength, r.end + Math.max(r.end - r.start, self.pageSize))};
+      }
+      throw e;
+    }
+  };
+  var attempt = function() {
+    missing = null;
+    return Promise.all(ranges.map(function(r) {
+      return self._loadRange(r.start, r.end);
+    })).then(function(bufs) {
+      for (var i=0; i<ranges.length; i++) {
+        var rds = new DataStream(bufs[i], 0, self.endianness);
+        rds.dynamicSize = false;
+        rds.throwOnParseError = true;
+        rds._origin = ranges[i].start;
+        rds._types = self._types;
+        rds._readAt = readAt;
+        ranges[i].ds = rds;
+      }
+      var ws = ranges[0].start, we = ranges[0].end;
+      var ds = ranges[0].ds;
+      ds.position = start - ws;
+      var v, err = null;
+      try {
+        v = isStruct ? ds.readStruct(t) : ds.readType(t, {});
+      } catch(e) {
+        err = e;
+      }
+      var cause = err instanceof DataStream.ParseError ? err.cause : err;
+      var pos = ws + (err instanceof DataStream.ParseError ? err.position : ds.position);
+      var nws = Math.max(0, Math.min(ws, pos));
+      var nwe = Math.min(self.byteLength, Math.max(we + (we - ws), pos + self.pageSize));
+      if (err && missing && missing.start < missing.end &&
+          (missing.index < 0 || missing.end > ranges[missing.index].end)) {
+        if (missing.index < 0) {
+          ranges.push({start: missing.start, end: missing.end, ds: null});
+        } else {
+          ranges[missing.index].end = missing.end;
         }
-        break;
-      } else {
-        this.writeStruct(t, v);
-        break;
+        return attempt();
+      } else if (err && !missing && (nws < ws || nwe > we) &&
+          (cause instanceof RangeError || (cause == null && pos >= we))) {
+        ranges[0].start = nws;
+        ranges[0].end = nwe;
+        return attempt();
+      } else if (!err && size == null && ds.isEof() && we < self.byteLength) {
+        ranges[0].end = Math.min(self.byteLength, we + (we - ws) + self.pageSize);
+        return attempt();
+      } else if (err && !(err instanceof DataStream.ParseError)) {
+        throw err;
+      } else if (err) {
+        err.position = pos;
+        err.remaining = self.byteLength - pos;
+        err.message = err._formatMessage();
+        if (self.throwOnParseError) {
+          throw err;
+        } else if (cause) {
+          throw cause;
+        }
+        if (self.failurePosition === 0) {
+          self.failurePosition = pos;
+        }
+        return null;
+      }
+      self.position = ws + ds.position;
+      return v;
+    });
+  };
+  return attempt();
+};
+
+/**
+  Loads the bytes from start to end, fetching the pages missing from the
+  cache in one read per run of consecutive pages.
+
+  @param {number} start Start offset in the source.
+  @param {number} end End offset in the source.
+  @return {Object} Promise of an ArrayBuffer with the bytes.
+ */
+DataStream.LazyStream.prototype._loadRange = function(start, end) {
+  var self = this;
+  var ps = this.pageSize;
+  var first = Math.floor(start / ps);
+  var last = Math.ceil(end / ps);
+  var pages = {};
+  var waits = [];
+  var fetchRun = function(a, b) {
+    var p = self._fetch(a * ps, Math.min(self.byteLength, b * ps));
+    var done = function() {
+      for (var i=a; i<b; i++) {
+        delete self._loading[i];
+      }
+    };
+    for (var i=a; i<b; i++) {
+      self._loading[i] = p;
+    }
+    waits.push(p.then(function(u8) {
+      done();
+      for (var i=a; i<b; i++) {
+        pages[i] = u8.slice((i - a) * ps, (i - a + 1) * ps);
+        self._storePage(i, pages[i]);
+      }
+    }, function(e) {
+      done();
+      throw e;
+    }));
+  };
+  var waitFor = function(i) {
+    waits.push(self._loading[i].then(function() {
+      return self._loadRange(i * ps, Math.min(self.byteLength, (i + 1) * ps));
+    }).then(function(buf) {
+      pages[i] = new Uint8Array(buf);
+    }));
+  };
+  var runStart = -1;
+  for (var i=first; i<last; i++) {
+    var page = this._pages.get(i);
+    if (page) {
+      this._pages['delete'](i);
+      this._pages.set(i, page);
+      pages[i] = page;
+    }
+    if (!page && !this._loading[i]) {
+      if (runStart < 0) {
+        runStart = i;
       }
+      continue;
+    }
+    if (runStart >= 0) {
+      fetchRun(runStart, i);
+      runStart = -1;
+    }
+    if (!page) {
+      waitFor(i);
+    }
   }
-  if (lengthOverride != null) {
-    this.position = pos;
-    this._realloc(lengthOverride);
-    this.position = pos + lengthOverride;
+  if (runStart >= 0) {
+    fetchRun(runStart, last);
+  }
+  return Promise.all(waits).then(function() {
+    var u8 = new Uint8Array(end - start);
+    for (var i=first; i<last; i++) {
+      var off = i * ps;
+      var page = pages[i];
+      var s = Math.max(start, off) - off;
+      var e = Math.min(end, off + page.length) - off;
+      if (e > s) {
+        u8.set(page.subarray(s, e), off + s - start);
+      }
+    }
+    return u8.buffer;
+  });
+};
+
+/**
+  Adds a page to the cache, evicting the least recently used pages to keep
+  the cache size under maxCacheSize.
+
+  @param {number} index Page index.
+  @param {Object} page Uint8Array with the page data.
+ */
+DataStream.LazyStream.prototype._storePage = function(index, page) {
+  if (page.length > this.maxCacheSize) {
+    return;
+  }
+  if (this._pages.has(index)) {
+    this.cacheSize -= this._pages.get(index).length;
+    this._pages['delete'](index);
+  }
+  this._pages.set(index, page);
+  this.cacheSize += page.length;
+  var it = this._pages.keys();
+  while (this.cacheSize > this.maxCacheSize) {
+    var key = it.next().value;
+    this.cacheSize -= this._pages.get(key).length;
+    this._pages['delete'](key);
+  }
+};
+
+/**
+  Reads the bytes from start to end from the source.
+
+  @param {number} start Start offset in the source.
+  @param {number} end End offset in the source.
+  @return {Object} Promise of a Uint8Array with the bytes.
+ */
+DataStream.LazyStream.prototype._fetch = function(start, end) {
+  var src = this.source;
+  if (typeof src.slice != 'function') {
+    var u8 = new Uint8Array(end - start);
+    return src.read(u8, 0, u8.length, start).then(function(r) {
+      return u8.subarray(0, r.bytesRead);
+    });
+  }
+  var blob = src.slice(start, end);
+  if (blob.arrayBuffer) {
+    return blob.arrayBuffer().then(function(buf) {
+      return new Uint8Array(buf);
+    });
   }
+  return new Promise(function(resolve, reject) {
+    var reader = new FileReader();
+    reader.onload = function() { resolve(new Uint8Array(reader.result)); };
+    reader.onerror = function() { reject(reader.error); };
+    reader.readAsArrayBuffer(blob);
+  });
 };
 
 // Export DataStream for amd environments